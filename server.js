@@ -2,12 +2,19 @@ const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
 const cron = require('node-cron');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '20mb' }));
 app.use(express.static('public'));
 
 const pool = new Pool({
@@ -17,39 +24,272 @@ const pool = new Pool({
 
 // ==================== CONSTANTS ====================
 
-const PRICING = { betCost: 3.50 };
-
-// VALORES REAIS DOS PRÊMIOS LOTOFÁCIL
-const PRIZE_VALUES = {
-    15: 850000,  // Média do prêmio principal (varia)
-    14: 1400,    // Média do prêmio de 14 acertos (varia)
-    13: 35,      // FIXO
-    12: 14,      // FIXO
-    11: 7,       // FIXO
-    10: 0,       // Não ganha nada
-    9: 0,
-    8: 0,
-    7: 0,
-    6: 0,
-    5: 0,
-    4: 0,
-    3: 0,
-    2: 0,
-    1: 0,
-    0: 0
+// Loterias suportadas. Cada jogo define o volante (1 a `range`, `columns` por linha), quantos números
+// tem a aposta simples (`picks`) e o sorteio (`drawn`), as faixas premiadas, o preço e os dias de sorteio.
+// Aposta de N números custa o mesmo que as C(N, picks) apostas simples que ela contém
+const GAMES = {
+    lotofacil: {
+        label: 'Lotofácil',
+        icon: '🍀',
+        range: 25,
+        columns: 5,
+        picks: 15,
+        drawn: 15,
+        betSizes: { min: 15, max: 20 },
+        price: 3.50,
+        // Valores reais: 11 a 13 acertos são fixos, 14 e 15 são médias (variam)
+        prizes: { 11: 7, 12: 14, 13: 35, 14: 1400, 15: 850000 },
+        fixedTiers: [11, 12, 13],
+        draw: { hour: 20, weekdays: [1, 2, 3, 4, 5, 6] },
+        api: 'lotofacil'
+    },
+    megasena: {
+        label: 'Mega-Sena',
+        icon: '💰',
+        range: 60,
+        columns: 10,
+        picks: 6,
+        drawn: 6,
+        betSizes: { min: 6, max: 20 },
+        price: 6.00,
+        // Médias de quadra, quina e sena (todas variam)
+        prizes: { 4: 1000, 5: 50000, 6: 35000000 },
+        fixedTiers: [],
+        draw: { hour: 20, weekdays: [2, 4, 6] },
+        api: 'megasena'
+    },
+    quina: {
+        label: 'Quina',
+        icon: '🎯',
+        range: 80,
+        columns: 10,
+        picks: 5,
+        drawn: 5,
+        betSizes: { min: 5, max: 15 },
+        price: 3.00,
+        // Médias de duque, terno, quadra e quina (todas variam)
+        prizes: { 2: 4, 3: 100, 4: 8000, 5: 7000000 },
+        fixedTiers: [],
+        draw: { hour: 20, weekdays: [1, 2, 3, 4, 5, 6] },
+        api: 'quina'
+    }
 };
 
+// Campos derivados: faixas em ordem, tabela de preços por tamanho e moldura/centro do volante
+for (const [id, game] of Object.entries(GAMES)) {
+    game.id = id;
+    game.tiers = Object.keys(game.prizes).map(Number).sort((a, b) => a - b);
+    game.priceTable = {};
+    for (let size = game.betSizes.min; size <= game.betSizes.max; size++) {
+        game.priceTable[size] = roundCents(combinations(size, game.picks) * game.price);
+    }
+    game.grid = buildGrid(game);
+}
+
+// Dados antigos e chamadas sem `game` são da Lotofácil
+const DEFAULT_GAME = 'lotofacil';
+const GAME_ERROR = `game deve ser ${Object.keys(GAMES).join(', ')}`;
+
+// Jogos com geração diária e conferência automática
+const ACTIVE_GAMES = (process.env.ACTIVE_GAMES || DEFAULT_GAME)
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => {
+        if (GAMES[id]) return true;
+        if (id) console.error(`⚠️ ACTIVE_GAMES: jogo desconhecido "${id}" ignorado`);
+        return false;
+    })
+    .map(id => GAMES[id]);
+
+// null quando o id não é de um jogo conhecido
+function gameFrom(id) {
+    return GAMES[id || DEFAULT_GAME] || null;
+}
+
+// `game` vem da query string (GET) ou do corpo (POST/PUT)
+function requestGame(req) {
+    return gameFrom(req.query.game || (req.body && req.body.game));
+}
+
+// Variável de ambiente por jogo: NOME_MEGASENA, NOME_QUINA...; na Lotofácil também vale só NOME
+function gameEnv(name, game) {
+    const value = process.env[`${name}_${game.id.toUpperCase()}`];
+    if (value !== undefined) return value;
+    return game.id === DEFAULT_GAME ? process.env[name] : undefined;
+}
+
+function betPrice(game, size) {
+    return game.priceTable[size];
+}
+
+// Premiação real do concurso. Faixas não informadas usam os valores médios do jogo;
+// se faltar uma faixa variável (ou a principal, sem ter acumulado) a premiação fica marcada como estimada
+function buildPrizeData(game, { prizes = {}, winners = {}, accumulated } = {}) {
+    const table = {};
+    for (let hits = 0; hits <= game.picks; hits++) table[hits] = game.prizes[hits] || 0;
+    const tierWinners = {};
+    const provided = {};
+    for (const hits of game.tiers) {
+        const value = parseFloat(prizes[hits]);
+        provided[hits] = !Number.isNaN(value) && value >= 0;
+        if (provided[hits]) table[hits] = value;
+        const count = parseInt(winners[hits]);
+        tierWinners[hits] = Number.isNaN(count) ? null : count;
+    }
+    const top = game.picks;
+    const isAccumulated = accumulated ?? tierWinners[top] === 0;
+    if (isAccumulated && !provided[top]) table[top] = 0;
+    const variableTiers = game.tiers.filter(hits => hits !== top && !game.fixedTiers.includes(hits));
+    return {
+        prizes: table,
+        winners: tierWinners,
+        accumulated: Boolean(isAccumulated),
+        prizesEstimated: variableTiers.some(hits => !provided[hits]) || (!provided[top] && !isAccumulated)
+    };
+}
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 function getTodayBrazil() {
-    const now = new Date();
-    const brazilTime = new Date(now.toLocaleString("en-US", {timeZone: "America/Sao_Paulo"}));
-    return brazilTime.toISOString().split('T')[0];
+    return getNowBrazil().toISOString().split('T')[0];
+}
+
+// ==================== DRAW CALENDAR ====================
+
+// Dias e hora de sorteio vêm de game.draw (mesma regra do calculateNextDraw do dashboard)
+
+// Datas como 'YYYY-MM-DD'; o pg devolve DATE como Date à meia-noite local
+function toDateString(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).split('T')[0];
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+function isDrawDay(game, dateString) {
+    return game.draw.weekdays.includes(new Date(`${dateString}T00:00:00Z`).getUTCDay());
+}
+
+// Horário de Brasília nos campos UTC do Date ("sv-SE" formata como AAAA-MM-DD HH:MM:SS), qualquer que seja o fuso do servidor
+function getNowBrazil() {
+    return new Date(`${new Date().toLocaleString('sv-SE', { timeZone: 'America/Sao_Paulo' }).replace(' ', 'T')}Z`);
+}
+
+// Meia-noite da data no relógio de Brasília, no mesmo formato de getNowBrazil
+function brazilMidnight(dateString) {
+    return new Date(`${dateString}T00:00:00Z`);
+}
+
+// Próximo sorteio que ainda não aconteceu
+function nextDrawDate(game, brTime = getNowBrazil()) {
+    let date = brTime.toISOString().split('T')[0];
+    if (brTime.getUTCHours() >= game.draw.hour) date = addDays(date, 1);
+    while (!isDrawDay(game, date)) date = addDays(date, 1);
+    return date;
+}
+
+// Último sorteio que já aconteceu
+function lastDrawDate(game, brTime = getNowBrazil()) {
+    let date = brTime.toISOString().split('T')[0];
+    if (brTime.getUTCHours() < game.draw.hour) date = addDays(date, -1);
+    while (!isDrawDay(game, date)) date = addDays(date, -1);
+    return date;
+}
+
+// Quantidade de sorteios no intervalo (from, to]
+function countDrawDays(game, from, to) {
+    let count = 0;
+    for (let date = addDays(from, 1); date <= to; date = addDays(date, 1)) {
+        if (isDrawDay(game, date)) count++;
+    }
+    return count;
+}
+
+// O número do concurso é deduzido a partir do resultado salvo mais próximo da data
+async function contestForDrawDate(game, drawDate) {
+    const before = await pool.query(
+        'SELECT contest_number, date FROM results WHERE game = $1 AND date <= $2 ORDER BY date DESC, contest_number DESC LIMIT 1',
+        [game.id, drawDate]
+    );
+    if (before.rows.length > 0) {
+        const anchor = before.rows[0];
+        return anchor.contest_number + countDrawDays(game, toDateString(anchor.date), drawDate);
+    }
+    const after = await pool.query(
+        'SELECT contest_number, date FROM results WHERE game = $1 AND date > $2 ORDER BY date ASC, contest_number ASC LIMIT 1',
+        [game.id, drawDate]
+    );
+    if (after.rows.length > 0) {
+        const anchor = after.rows[0];
+        return anchor.contest_number - countDrawDays(game, drawDate, toDateString(anchor.date));
+    }
+    return null;
+}
+
+async function drawDateForContest(game, contestNumber) {
+    const anchorQuery = await pool.query(
+        'SELECT contest_number, date FROM results WHERE game = $1 ORDER BY ABS(contest_number - $2) ASC LIMIT 1',
+        [game.id, contestNumber]
+    );
+    if (anchorQuery.rows.length === 0) return null;
+    const anchor = anchorQuery.rows[0];
+    const step = contestNumber >= anchor.contest_number ? 1 : -1;
+    let date = toDateString(anchor.date);
+    for (let remaining = Math.abs(contestNumber - anchor.contest_number); remaining > 0;) {
+        date = addDays(date, step);
+        if (isDrawDay(game, date)) remaining--;
+    }
+    return date;
+}
+
+// Concurso ao qual as apostas geradas agora se destinam
+async function getBetTarget(game, brTime = getNowBrazil()) {
+    const drawDate = nextDrawDate(game, brTime);
+    return { drawDate, targetContest: await contestForDrawDate(game, drawDate) };
 }
 
 // ==================== DATABASE ====================
 
-async function initializeDatabase() {
+// Executa `task(client)` numa transação: ou tudo é gravado, ou nada
+async function withTransaction(task) {
+    const client = await pool.connect();
     try {
-        await pool.query(`
+        await client.query('BEGIN');
+        const result = await task(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Chaves de pg_advisory_xact_lock: migrações e conferência de cada concurso
+const LOCKS = { migrations: 1001, contest: 1002 };
+
+// Migrações numeradas: nunca altere uma já publicada, crie a próxima.
+// As primeiras usam IF NOT EXISTS porque bancos antigos já têm essas estruturas.
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'apostas e resultados',
+        up: `
             CREATE TABLE IF NOT EXISTS bets (
                 id SERIAL PRIMARY KEY,
                 strategy VARCHAR(50) NOT NULL,
@@ -62,20 +302,9 @@ async function initializeDatabase() {
                 contest_number INTEGER,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 CHECK (array_length(numbers, 1) = 15)
-            )
-        `);
-
-        await pool.query(`
-            DO $$ BEGIN 
-                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='bets' AND column_name='type') THEN
-                    ALTER TABLE bets ADD COLUMN type VARCHAR(20) DEFAULT 'auto';
-                END IF;
-            END $$;
-        `);
-
-        await pool.query(`UPDATE bets SET type = 'auto' WHERE type IS NULL`);
-
-        await pool.query(`
+            );
+            ALTER TABLE bets ADD COLUMN IF NOT EXISTS type VARCHAR(20) DEFAULT 'auto';
+            UPDATE bets SET type = 'auto' WHERE type IS NULL;
             CREATE TABLE IF NOT EXISTS results (
                 id SERIAL PRIMARY KEY,
                 contest_number INTEGER UNIQUE NOT NULL,
@@ -92,501 +321,5055 @@ async function initializeDatabase() {
                 prize_15 DECIMAL(10, 2) DEFAULT 850000,
                 source VARCHAR(50) DEFAULT 'manual',
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        await pool.query(`
-            DO $$ BEGIN 
-                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='results' AND column_name='source') THEN
-                    ALTER TABLE results ADD COLUMN source VARCHAR(50) DEFAULT 'manual';
-                END IF;
-                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='results' AND column_name='total_cost') THEN
-                    ALTER TABLE results ADD COLUMN total_cost DECIMAL(10, 2) DEFAULT 0;
-                END IF;
-                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='results' AND column_name='balance') THEN
-                    ALTER TABLE results ADD COLUMN balance DECIMAL(10, 2) DEFAULT 0;
-                END IF;
-            END $$;
-        `);
+            );
+            ALTER TABLE results
+                ADD COLUMN IF NOT EXISTS source VARCHAR(50) DEFAULT 'manual',
+                ADD COLUMN IF NOT EXISTS total_cost DECIMAL(10, 2) DEFAULT 0,
+                ADD COLUMN IF NOT EXISTS balance DECIMAL(10, 2) DEFAULT 0;
+        `,
+        down: `
+            DROP TABLE IF EXISTS results;
+            DROP TABLE IF EXISTS bets;
+        `
+    },
+    {
+        version: 2,
+        name: 'concurso e data do sorteio de cada aposta',
+        // Apostas antigas: já conferidas ficam com o concurso conferido, pendentes com o sorteio do dia da geração
+        up: `
+            ALTER TABLE bets
+                ADD COLUMN IF NOT EXISTS target_contest INTEGER,
+                ADD COLUMN IF NOT EXISTS draw_date DATE;
+            UPDATE bets SET target_contest = contest_number WHERE target_contest IS NULL AND contest_number IS NOT NULL;
+            UPDATE bets SET draw_date = CASE WHEN EXTRACT(DOW FROM date) = 0 THEN date + 1 ELSE date END WHERE draw_date IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_bets_target_contest ON bets (target_contest);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_bets_target_contest;
+            ALTER TABLE bets DROP COLUMN IF EXISTS target_contest, DROP COLUMN IF EXISTS draw_date;
+        `
+    },
+    {
+        version: 3,
+        name: 'semente e parâmetros das apostas',
+        up: `
+            ALTER TABLE bets
+                ADD COLUMN IF NOT EXISTS seed BIGINT,
+                ADD COLUMN IF NOT EXISTS strategy_params JSONB,
+                ADD COLUMN IF NOT EXISTS history_contest INTEGER,
+                ADD COLUMN IF NOT EXISTS history_snapshot VARCHAR(40);
+        `,
+        down: `
+            ALTER TABLE bets
+                DROP COLUMN IF EXISTS seed,
+                DROP COLUMN IF EXISTS strategy_params,
+                DROP COLUMN IF EXISTS history_contest,
+                DROP COLUMN IF EXISTS history_snapshot;
+        `
+    },
+    {
+        version: 4,
+        name: 'premiação e ganhadores por faixa',
+        up: `
+            ALTER TABLE results
+                ADD COLUMN IF NOT EXISTS winners_11 INTEGER,
+                ADD COLUMN IF NOT EXISTS winners_12 INTEGER,
+                ADD COLUMN IF NOT EXISTS winners_13 INTEGER,
+                ADD COLUMN IF NOT EXISTS winners_14 INTEGER,
+                ADD COLUMN IF NOT EXISTS winners_15 INTEGER,
+                ADD COLUMN IF NOT EXISTS accumulated BOOLEAN DEFAULT false,
+                ADD COLUMN IF NOT EXISTS prizes_estimated BOOLEAN DEFAULT true;
+        `,
+        down: `
+            ALTER TABLE results
+                DROP COLUMN IF EXISTS winners_11,
+                DROP COLUMN IF EXISTS winners_12,
+                DROP COLUMN IF EXISTS winners_13,
+                DROP COLUMN IF EXISTS winners_14,
+                DROP COLUMN IF EXISTS winners_15,
+                DROP COLUMN IF EXISTS accumulated,
+                DROP COLUMN IF EXISTS prizes_estimated;
+        `
+    },
+    {
+        version: 5,
+        name: 'filtros das apostas',
+        up: `
+            ALTER TABLE bets
+                ADD COLUMN IF NOT EXISTS filters JSONB,
+                ADD COLUMN IF NOT EXISTS filter_repair_round INTEGER;
+        `,
+        down: `
+            ALTER TABLE bets DROP COLUMN IF EXISTS filters, DROP COLUMN IF EXISTS filter_repair_round;
+        `
+    },
+    {
+        version: 6,
+        name: 'apostas de 16 a 20 números',
+        // Custo pela tabela de preços e prêmios contados por faixa
+        up: `
+            ALTER TABLE bets DROP CONSTRAINT IF EXISTS bets_numbers_check;
+            ALTER TABLE bets DROP CONSTRAINT IF EXISTS bets_numbers_size;
+            ALTER TABLE bets ADD CONSTRAINT bets_numbers_size CHECK (array_length(numbers, 1) BETWEEN 15 AND 20);
+            ALTER TABLE bets
+                ADD COLUMN IF NOT EXISTS cost DECIMAL(10, 2),
+                ADD COLUMN IF NOT EXISTS prize_counts JSONB;
+            UPDATE bets SET cost = ${GAMES.lotofacil.price} WHERE cost IS NULL;
+            UPDATE bets SET prize_counts = jsonb_build_object(matches::text, 1) WHERE prize_counts IS NULL AND matches >= 11;
+        `,
+        down: `
+            ALTER TABLE bets DROP CONSTRAINT IF EXISTS bets_numbers_size;
+            ALTER TABLE bets ADD CONSTRAINT bets_numbers_check CHECK (array_length(numbers, 1) = 15);
+            ALTER TABLE bets DROP COLUMN IF EXISTS cost, DROP COLUMN IF EXISTS prize_counts;
+        `
+    },
+    {
+        version: 7,
+        name: 'bolões',
+        // Participantes compram cotas; o extrato tem pagamento (entrada), prêmio (a receber) e taxa do organizador
+        up: `
+            CREATE TABLE IF NOT EXISTS pools (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                organizer VARCHAR(100),
+                share_price DECIMAL(10, 2) NOT NULL,
+                fee_percent DECIMAL(5, 2) DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS pool_participants (
+                id SERIAL PRIMARY KEY,
+                pool_id INTEGER NOT NULL REFERENCES pools(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                shares INTEGER NOT NULL CHECK (shares > 0),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (pool_id, name)
+            );
+            CREATE TABLE IF NOT EXISTS pool_ledger (
+                id SERIAL PRIMARY KEY,
+                pool_id INTEGER NOT NULL REFERENCES pools(id) ON DELETE CASCADE,
+                participant_id INTEGER REFERENCES pool_participants(id) ON DELETE CASCADE,
+                contest_number INTEGER,
+                kind VARCHAR(20) NOT NULL,
+                amount DECIMAL(12, 2) NOT NULL,
+                description TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            ALTER TABLE bets ADD COLUMN IF NOT EXISTS pool_id INTEGER REFERENCES pools(id);
+        `,
+        down: `
+            ALTER TABLE bets DROP COLUMN IF EXISTS pool_id;
+            DROP TABLE IF EXISTS pool_ledger;
+            DROP TABLE IF EXISTS pool_participants;
+            DROP TABLE IF EXISTS pools;
+        `
+    },
+    {
+        version: 8,
+        name: 'banca e orçamento',
+        // Limites em branco (NULL) não restringem nada
+        up: `
+            CREATE TABLE IF NOT EXISTS bankroll_ledger (
+                id SERIAL PRIMARY KEY,
+                kind VARCHAR(20) NOT NULL,
+                amount DECIMAL(12, 2) NOT NULL,
+                date DATE NOT NULL,
+                bet_id INTEGER REFERENCES bets(id) ON DELETE SET NULL,
+                contest_number INTEGER,
+                description TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_bankroll_ledger_date ON bankroll_ledger (date);
+            CREATE TABLE IF NOT EXISTS bankroll_settings (
+                id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+                daily_budget DECIMAL(12, 2),
+                monthly_budget DECIMAL(12, 2),
+                stop_loss DECIMAL(12, 2),
+                take_profit DECIMAL(12, 2),
+                mode VARCHAR(10) DEFAULT 'scale',
+                enforce_balance BOOLEAN DEFAULT false,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            INSERT INTO bankroll_settings (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+        `,
+        down: `
+            DROP TABLE IF EXISTS bankroll_settings;
+            DROP TABLE IF EXISTS bankroll_ledger;
+        `
+    },
+    {
+        version: 9,
+        name: 'usuários e auditoria',
+        // O token só é mostrado na criação, o banco guarda o hash
+        up: `
+            CREATE TABLE IF NOT EXISTS users (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(100) UNIQUE NOT NULL,
+                role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'operator', 'admin')),
+                token_hash VARCHAR(64) UNIQUE NOT NULL,
+                active BOOLEAN DEFAULT true,
+                last_used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                user_name VARCHAR(100),
+                role VARCHAR(20),
+                action VARCHAR(200) NOT NULL,
+                status INTEGER,
+                details JSONB,
+                ip VARCHAR(64),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at);
+        `,
+        down: `
+            DROP TABLE IF EXISTS audit_log;
+            DROP TABLE IF EXISTS users;
+        `
+    },
+    {
+        version: 10,
+        name: 'notificações',
+        // user_id NULL = assinatura criada sem autenticação
+        up: `
+            CREATE TABLE IF NOT EXISTS notification_subscriptions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                channel VARCHAR(20) NOT NULL,
+                target TEXT NOT NULL,
+                events TEXT[] NOT NULL,
+                active BOOLEAN DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS notification_log (
+                id SERIAL PRIMARY KEY,
+                subscription_id INTEGER REFERENCES notification_subscriptions(id) ON DELETE CASCADE,
+                event VARCHAR(40) NOT NULL,
+                channel VARCHAR(20) NOT NULL,
+                status VARCHAR(10) NOT NULL,
+                error TEXT,
+                payload JSONB,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `,
+        down: `
+            DROP TABLE IF EXISTS notification_log;
+            DROP TABLE IF EXISTS notification_subscriptions;
+        `
+    },
+    {
+        version: 11,
+        name: 'execuções de jobs e geração diária única',
+        // daily_bets reserva (data, estratégia) antes de gravar a aposta automática; as já existentes
+        // entram na reserva, e duplicatas antigas continuam como estão
+        up: `
+            CREATE TABLE job_runs (
+                id SERIAL PRIMARY KEY,
+                job VARCHAR(40) NOT NULL,
+                run_date DATE,
+                trigger VARCHAR(20) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'running',
+                bets_created INTEGER DEFAULT 0,
+                details JSONB,
+                error TEXT,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                finished_at TIMESTAMP
+            );
+            CREATE INDEX idx_job_runs_job ON job_runs (job, started_at DESC);
+            CREATE TABLE daily_bets (
+                date DATE NOT NULL,
+                strategy VARCHAR(50) NOT NULL,
+                bet_id INTEGER REFERENCES bets(id) ON DELETE CASCADE,
+                PRIMARY KEY (date, strategy)
+            );
+            INSERT INTO daily_bets (date, strategy, bet_id)
+                SELECT DISTINCT ON (date, strategy) date, strategy, id FROM bets
+                WHERE type = 'auto' ORDER BY date, strategy, id;
+        `,
+        down: `
+            DROP TABLE IF EXISTS daily_bets;
+            DROP TABLE IF EXISTS job_runs;
+        `
+    },
+    {
+        version: 12,
+        name: 'alocação adaptativa',
+        // Com alocação, a mesma estratégia pode ter várias apostas no dia: cada uma ocupa um slot
+        up: `
+            CREATE TABLE allocation_decisions (
+                id SERIAL PRIMARY KEY,
+                source VARCHAR(20) NOT NULL,
+                run_date DATE,
+                method VARCHAR(20) NOT NULL,
+                total_bets INTEGER NOT NULL,
+                min_share DECIMAL(6, 4) NOT NULL,
+                seed BIGINT NOT NULL,
+                arms JSONB NOT NULL,
+                allocation JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE UNIQUE INDEX idx_allocation_daily ON allocation_decisions (run_date) WHERE source = 'daily';
+            ALTER TABLE bets ADD COLUMN allocation_id INTEGER REFERENCES allocation_decisions(id) ON DELETE SET NULL;
+            ALTER TABLE daily_bets ADD COLUMN slot INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE daily_bets DROP CONSTRAINT daily_bets_pkey, ADD PRIMARY KEY (date, strategy, slot);
+        `,
+        down: `
+            DELETE FROM daily_bets WHERE slot > 0;
+            ALTER TABLE daily_bets DROP CONSTRAINT daily_bets_pkey, ADD PRIMARY KEY (date, strategy);
+            ALTER TABLE daily_bets DROP COLUMN slot;
+            ALTER TABLE bets DROP COLUMN IF EXISTS allocation_id;
+            DROP TABLE IF EXISTS allocation_decisions;
+        `
+    },
+    {
+        version: 13,
+        name: 'apostas escolhidas à mão',
+        up: `
+            ALTER TABLE bets ADD COLUMN picked_by VARCHAR(100);
+        `,
+        down: `
+            ALTER TABLE bets DROP COLUMN IF EXISTS picked_by;
+        `
+    },
+    {
+        version: 14,
+        name: 'mega-sena e quina',
+        // Tudo que já existia é da Lotofácil. Sena e quina passam de R$ 100 milhões: prêmios ganham mais dígitos
+        up: `
+            ALTER TABLE results ADD COLUMN game VARCHAR(20) NOT NULL DEFAULT 'lotofacil';
+            ALTER TABLE results DROP CONSTRAINT results_contest_number_key,
+                ADD CONSTRAINT results_game_contest_key UNIQUE (game, contest_number);
+            ALTER TABLE results
+                ADD COLUMN prize_2 DECIMAL(14, 2),
+                ADD COLUMN prize_3 DECIMAL(14, 2),
+                ADD COLUMN prize_4 DECIMAL(14, 2),
+                ADD COLUMN prize_5 DECIMAL(14, 2),
+                ADD COLUMN prize_6 DECIMAL(14, 2),
+                ADD COLUMN winners_2 INTEGER,
+                ADD COLUMN winners_3 INTEGER,
+                ADD COLUMN winners_4 INTEGER,
+                ADD COLUMN winners_5 INTEGER,
+                ADD COLUMN winners_6 INTEGER,
+                ALTER COLUMN prize_11 DROP DEFAULT,
+                ALTER COLUMN prize_12 DROP DEFAULT,
+                ALTER COLUMN prize_13 DROP DEFAULT,
+                ALTER COLUMN prize_14 DROP DEFAULT,
+                ALTER COLUMN prize_15 DROP DEFAULT,
+                ALTER COLUMN total_prize TYPE DECIMAL(14, 2),
+                ALTER COLUMN balance TYPE DECIMAL(14, 2);
+            ALTER TABLE bets ADD COLUMN game VARCHAR(20) NOT NULL DEFAULT 'lotofacil',
+                ALTER COLUMN prize TYPE DECIMAL(14, 2),
+                DROP CONSTRAINT bets_numbers_size;
+            ALTER TABLE bets ADD CONSTRAINT bets_numbers_size CHECK (CASE game
+                WHEN 'lotofacil' THEN array_length(numbers, 1) BETWEEN 15 AND 20
+                WHEN 'megasena' THEN array_length(numbers, 1) BETWEEN 6 AND 20
+                WHEN 'quina' THEN array_length(numbers, 1) BETWEEN 5 AND 15
+            END);
+            DROP INDEX IF EXISTS idx_bets_target_contest;
+            CREATE INDEX idx_bets_game_target_contest ON bets (game, target_contest);
+            ALTER TABLE daily_bets ADD COLUMN game VARCHAR(20) NOT NULL DEFAULT 'lotofacil';
+            ALTER TABLE daily_bets DROP CONSTRAINT daily_bets_pkey, ADD PRIMARY KEY (game, date, strategy, slot);
+            ALTER TABLE allocation_decisions ADD COLUMN game VARCHAR(20) NOT NULL DEFAULT 'lotofacil';
+            DROP INDEX idx_allocation_daily;
+            CREATE UNIQUE INDEX idx_allocation_daily ON allocation_decisions (game, run_date) WHERE source = 'daily';
+            ALTER TABLE job_runs ADD COLUMN game VARCHAR(20) NOT NULL DEFAULT 'lotofacil';
+            ALTER TABLE bankroll_ledger ADD COLUMN game VARCHAR(20);
+            UPDATE bankroll_ledger SET game = 'lotofacil' WHERE kind IN ('bet', 'prize');
+            ALTER TABLE pool_ledger ADD COLUMN game VARCHAR(20);
+            UPDATE pool_ledger SET game = 'lotofacil' WHERE contest_number IS NOT NULL;
+        `,
+        down: `
+            DELETE FROM bankroll_ledger WHERE game <> 'lotofacil';
+            DELETE FROM pool_ledger WHERE game <> 'lotofacil';
+            DELETE FROM daily_bets WHERE game <> 'lotofacil';
+            DELETE FROM bets WHERE game <> 'lotofacil';
+            DELETE FROM allocation_decisions WHERE game <> 'lotofacil';
+            DELETE FROM job_runs WHERE game <> 'lotofacil';
+            DELETE FROM results WHERE game <> 'lotofacil';
+            ALTER TABLE pool_ledger DROP COLUMN game;
+            ALTER TABLE bankroll_ledger DROP COLUMN game;
+            ALTER TABLE job_runs DROP COLUMN game;
+            DROP INDEX idx_allocation_daily;
+            CREATE UNIQUE INDEX idx_allocation_daily ON allocation_decisions (run_date) WHERE source = 'daily';
+            ALTER TABLE allocation_decisions DROP COLUMN game;
+            ALTER TABLE daily_bets DROP CONSTRAINT daily_bets_pkey, ADD PRIMARY KEY (date, strategy, slot);
+            ALTER TABLE daily_bets DROP COLUMN game;
+            DROP INDEX IF EXISTS idx_bets_game_target_contest;
+            CREATE INDEX idx_bets_target_contest ON bets (target_contest);
+            ALTER TABLE bets DROP CONSTRAINT bets_numbers_size;
+            ALTER TABLE bets ADD CONSTRAINT bets_numbers_size CHECK (array_length(numbers, 1) BETWEEN 15 AND 20);
+            ALTER TABLE bets DROP COLUMN game, ALTER COLUMN prize TYPE DECIMAL(10, 2);
+            ALTER TABLE results
+                DROP COLUMN prize_2,
+                DROP COLUMN prize_3,
+                DROP COLUMN prize_4,
+                DROP COLUMN prize_5,
+                DROP COLUMN prize_6,
+                DROP COLUMN winners_2,
+                DROP COLUMN winners_3,
+                DROP COLUMN winners_4,
+                DROP COLUMN winners_5,
+                DROP COLUMN winners_6,
+                ALTER COLUMN prize_11 SET DEFAULT 7,
+                ALTER COLUMN prize_12 SET DEFAULT 14,
+                ALTER COLUMN prize_13 SET DEFAULT 35,
+                ALTER COLUMN prize_14 SET DEFAULT 1400,
+                ALTER COLUMN prize_15 SET DEFAULT 850000,
+                ALTER COLUMN total_prize TYPE DECIMAL(10, 2),
+                ALTER COLUMN balance TYPE DECIMAL(10, 2);
+            ALTER TABLE results DROP CONSTRAINT results_game_contest_key,
+                ADD CONSTRAINT results_contest_number_key UNIQUE (contest_number);
+            ALTER TABLE results DROP COLUMN game;
+        `
+    }
+];
+
+async function appliedMigrations(db = pool) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(200) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    const result = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+}
+
+// Leva o banco até a versão `target`: aplica os "up" pendentes ou desfaz com os "down" acima dela.
+// Cada passo roda numa transação com trava, então duas instâncias subindo juntas não se atropelam.
+async function migrate(target = MIGRATIONS[MIGRATIONS.length - 1].version) {
+    const steps = [];
+    const upgrading = MIGRATIONS.filter(migration => migration.version <= target);
+    const downgrading = MIGRATIONS.filter(migration => migration.version > target).reverse();
+    for (const migration of upgrading) {
+        await withTransaction(async db => {
+            await db.query('SELECT pg_advisory_xact_lock($1)', [LOCKS.migrations]);
+            if ((await appliedMigrations(db)).includes(migration.version)) return;
+            await db.query(migration.up);
+            await db.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+            console.log(`🧱 Migração ${migration.version} aplicada: ${migration.name}`);
+            steps.push({ version: migration.version, name: migration.name, direction: 'up' });
+        });
+    }
+    for (const migration of downgrading) {
+        await withTransaction(async db => {
+            await db.query('SELECT pg_advisory_xact_lock($1)', [LOCKS.migrations]);
+            if (!(await appliedMigrations(db)).includes(migration.version)) return;
+            await db.query(migration.down);
+            await db.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            console.log(`↩️ Migração ${migration.version} desfeita: ${migration.name}`);
+            steps.push({ version: migration.version, name: migration.name, direction: 'down' });
+        });
+    }
+    return steps;
+}
+
+async function migrationStatus() {
+    const applied = await appliedMigrations();
+    return MIGRATIONS.map(({ version, name }) => ({ version, name, applied: applied.includes(version) }));
+}
 
+async function initializeDatabase() {
+    try {
+        await migrate();
         console.log('✅ Database OK');
     } catch (error) {
         console.error('❌ Database error:', error);
     }
 }
 
+// ==================== RANDOM ====================
+
+// FNV-1a: transforma qualquer semente (número ou texto) em 32 bits
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: mesma semente, mesma sequência
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function newSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+// Fisher-Yates: embaralhamento sem viés (sort com random() - 0.5 favorece a ordem original)
+function shuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
 // ==================== BET GENERATION ====================
 
-function ensureExactly15Numbers(numbers) {
+// Maior janela de histórico que uma estratégia pode pedir
+const STRATEGY_HISTORY_LIMIT = 1000;
+
+// Últimos resultados do jogo, do mais recente para o mais antigo; com beforeContest só vale o que já existia antes dele
+async function loadHistory(game, limit, beforeContest = null) {
+    if (limit <= 0) return [];
+    const result = beforeContest
+        ? await pool.query(
+            'SELECT contest_number, numbers FROM results WHERE game = $1 AND contest_number < $2 ORDER BY contest_number DESC LIMIT $3',
+            [game.id, beforeContest, limit]
+        )
+        : await pool.query(
+            'SELECT contest_number, numbers FROM results WHERE game = $1 ORDER BY contest_number DESC LIMIT $2',
+            [game.id, limit]
+        );
+    return result.rows;
+}
+
+// Identifica a janela de histórico usada: último concurso + hash dos números
+function historySnapshot(rows) {
+    if (rows.length === 0) return { historyContest: null, historySnapshot: null };
+    const content = rows.map(row => `${row.contest_number}:${row.numbers.join(',')}`).join('|');
+    const hash = hashSeed(content).toString(16).padStart(8, '0');
+    return { historyContest: rows[0].contest_number, historySnapshot: `${rows[0].contest_number}-${hash}` };
+}
+
+function ensureBetSize(game, numbers, size, random) {
     const unique = [...new Set(numbers)];
-    if (unique.length === 15) return unique.sort((a, b) => a - b);
-    if (unique.length > 15) return unique.slice(0, 15).sort((a, b) => a - b);
-    const available = [];
-    for (let i = 1; i <= 25; i++) {
-        if (!unique.includes(i)) available.push(i);
-    }
-    for (let i = available.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [available[i], available[j]] = [available[j], available[i]];
+    if (unique.length === size) return unique.sort((a, b) => a - b);
+    if (unique.length > size) return unique.slice(0, size).sort((a, b) => a - b);
+    const missing = [];
+    for (let i = 1; i <= game.range; i++) {
+        if (!unique.includes(i)) missing.push(i);
     }
-    while (unique.length < 15 && available.length > 0) {
+    const available = shuffle(missing, random);
+    while (unique.length < size && available.length > 0) {
         unique.push(available.shift());
     }
     return unique.sort((a, b) => a - b);
 }
 
-async function generateWeightedBet() {
-    try {
-        const result = await pool.query('SELECT numbers FROM results ORDER BY date DESC LIMIT 100');
-        const frequency = {};
-        for (let i = 1; i <= 25; i++) frequency[i] = 0;
-        result.rows.forEach(row => row.numbers.forEach(num => frequency[num]++));
-        const weighted = Object.entries(frequency)
-            .map(([num, freq]) => ({ num: parseInt(num), weight: freq + Math.random() * 5 }))
-            .sort((a, b) => b.weight - a.weight)
-            .slice(0, 15)
-            .map(item => item.num);
-        return ensureExactly15Numbers(weighted);
-    } catch { return generateRandomBet(); }
+function generateWeightedBet(game, history, params, random, size = game.picks) {
+    const frequency = {};
+    for (let i = 1; i <= game.range; i++) frequency[i] = 0;
+    history.slice(0, params.window).forEach(numbers => numbers.forEach(num => frequency[num]++));
+    const weighted = Object.entries(frequency)
+        .map(([num, freq]) => ({ num: parseInt(num), weight: freq + random() * params.noise }))
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, size)
+        .map(item => item.num);
+    return ensureBetSize(game, weighted, size, random);
 }
 
-async function generateBalancedBet() {
-    try {
-        const result = await pool.query('SELECT numbers FROM results ORDER BY date DESC LIMIT 50');
-        const frequency = {};
-        for (let i = 1; i <= 25; i++) frequency[i] = 0;
-        result.rows.forEach(row => row.numbers.forEach(num => frequency[num]++));
-        const sorted = Object.entries(frequency)
-            .map(([num, freq]) => ({ num: parseInt(num), freq }))
-            .sort((a, b) => b.freq - a.freq);
-        const numbers = [];
-        for (let i = 0; i < 5 && i < sorted.length; i++) numbers.push(sorted[i].num);
-        for (let i = sorted.length - 1; i >= sorted.length - 5 && i >= 0; i--) {
-            if (!numbers.includes(sorted[i].num)) numbers.push(sorted[i].num);
-        }
-        const middle = sorted.slice(5, sorted.length - 5);
-        for (const item of middle) {
-            if (numbers.length >= 15) break;
-            if (!numbers.includes(item.num)) numbers.push(item.num);
-        }
-        return ensureExactly15Numbers(numbers);
-    } catch { return generateRandomBet(); }
+function generateBalancedBet(game, history, params, random, size = game.picks) {
+    const frequency = {};
+    for (let i = 1; i <= game.range; i++) frequency[i] = 0;
+    history.slice(0, params.window).forEach(numbers => numbers.forEach(num => frequency[num]++));
+    const sorted = Object.entries(frequency)
+        .map(([num, freq]) => ({ num: parseInt(num), freq }))
+        .sort((a, b) => b.freq - a.freq);
+    const numbers = [];
+    for (let i = 0; i < params.hot && i < sorted.length; i++) numbers.push(sorted[i].num);
+    for (let i = sorted.length - 1; i >= sorted.length - params.cold && i >= 0; i--) {
+        if (!numbers.includes(sorted[i].num)) numbers.push(sorted[i].num);
+    }
+    const middle = sorted.slice(params.hot, sorted.length - params.cold);
+    for (const item of middle) {
+        if (numbers.length >= size) break;
+        if (!numbers.includes(item.num)) numbers.push(item.num);
+    }
+    return ensureBetSize(game, numbers, size, random);
 }
 
-async function generateModerateBet() {
+function generateModerateBet(game, history, params, random, size = game.picks) {
     const numbers = [];
-    const range = [6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20];
-    while (numbers.length < 15) {
-        const num = range[Math.floor(Math.random() * range.length)];
+    const range = [];
+    for (let i = params.min; i <= params.max; i++) range.push(i);
+    while (numbers.length < Math.min(size, range.length)) {
+        const num = range[Math.floor(random() * range.length)];
         if (!numbers.includes(num)) numbers.push(num);
     }
-    return ensureExactly15Numbers(numbers);
+    return ensureBetSize(game, numbers, size, random);
+}
+
+// Linhas do volante: 01-05, 06-10... na Lotofácil; 01-10, 11-20... na Mega-Sena e na Quina
+function gridRows(game) {
+    return Array.from({ length: Math.ceil(game.range / game.columns) }, (_, row) =>
+        Array.from({ length: Math.min(game.columns, game.range - row * game.columns) }, (_, col) => row * game.columns + col + 1)
+    );
 }
 
-function generateDistributedBet() {
+function generateDistributedBet(game, history, params, random, size = game.picks) {
     const numbers = [];
-    const groups = [[1,2,3,4,5], [6,7,8,9,10], [11,12,13,14,15], [16,17,18,19,20], [21,22,23,24,25]];
+    const groups = gridRows(game);
+    // O que sobra da divisão por igual vai para linhas sorteadas
+    const extra = size % groups.length === 0 ? [] : shuffle(groups, random).slice(0, size % groups.length);
     groups.forEach(group => {
-        const shuffled = [...group].sort(() => Math.random() - 0.5);
-        for (let i = 0; i < 3; i++) {
+        const shuffled = shuffle(group, random);
+        const picks = Math.floor(size / groups.length) + (extra.includes(group) ? 1 : 0);
+        for (let i = 0; i < picks; i++) {
             if (!numbers.includes(shuffled[i])) numbers.push(shuffled[i]);
         }
     });
-    return ensureExactly15Numbers(numbers);
+    return ensureBetSize(game, numbers, size, random);
 }
 
-async function generateIntelligentBet() {
-    try {
-        const result = await pool.query('SELECT numbers FROM results ORDER BY date DESC LIMIT 30');
-        const frequency = {}, pairs = {};
-        for (let i = 1; i <= 25; i++) frequency[i] = 0;
-        result.rows.forEach(row => {
-            row.numbers.forEach(num => frequency[num]++);
-            for (let i = 0; i < row.numbers.length; i++) {
-                for (let j = i + 1; j < row.numbers.length; j++) {
-                    const key = `${row.numbers[i]}-${row.numbers[j]}`;
-                    pairs[key] = (pairs[key] || 0) + 1;
-                }
+function generateIntelligentBet(game, history, params, random, size = game.picks) {
+    const frequency = {}, pairs = {};
+    for (let i = 1; i <= game.range; i++) frequency[i] = 0;
+    history.slice(0, params.window).forEach(drawn => {
+        drawn.forEach(num => frequency[num]++);
+        for (let i = 0; i < drawn.length; i++) {
+            for (let j = i + 1; j < drawn.length; j++) {
+                const key = `${drawn[i]}-${drawn[j]}`;
+                pairs[key] = (pairs[key] || 0) + 1;
             }
-        });
-        const topPairs = Object.entries(pairs).sort((a, b) => b[1] - a[1]).slice(0, 5);
-        const numbers = [];
-        topPairs.forEach(([pair]) => {
-            const [a, b] = pair.split('-').map(Number);
-            if (!numbers.includes(a)) numbers.push(a);
-            if (!numbers.includes(b)) numbers.push(b);
-        });
-        const sorted = Object.entries(frequency).sort((a, b) => b[1] - a[1]).map(([num]) => parseInt(num));
-        for (const num of sorted) {
-            if (numbers.length >= 15) break;
-            if (!numbers.includes(num)) numbers.push(num);
         }
-        return ensureExactly15Numbers(numbers);
-    } catch { return generateRandomBet(); }
+    });
+    const topPairs = Object.entries(pairs).sort((a, b) => b[1] - a[1]).slice(0, params.topPairs);
+    const numbers = [];
+    topPairs.forEach(([pair]) => {
+        const [a, b] = pair.split('-').map(Number);
+        if (!numbers.includes(a)) numbers.push(a);
+        if (!numbers.includes(b)) numbers.push(b);
+    });
+    const sorted = Object.entries(frequency).sort((a, b) => b[1] - a[1]).map(([num]) => parseInt(num));
+    for (const num of sorted) {
+        if (numbers.length >= size) break;
+        if (!numbers.includes(num)) numbers.push(num);
+    }
+    return ensureBetSize(game, numbers, size, random);
 }
 
-function generateRandomBet() {
+function generateRandomBet(game, history, params, random, size = game.picks) {
     const numbers = [];
-    while (numbers.length < 15) {
-        const num = Math.floor(Math.random() * 25) + 1;
+    while (numbers.length < size) {
+        const num = Math.floor(random() * game.range) + 1;
         if (!numbers.includes(num)) numbers.push(num);
     }
-    return ensureExactly15Numbers(numbers);
+    return ensureBetSize(game, numbers, size, random);
+}
+
+// ==================== STRATEGIES ====================
+
+// Registro único das estratégias: para criar uma nova basta adicioná-la aqui.
+// Padrões e limites dos parâmetros dependem do volante, por isso `params` recebe o jogo
+const STRATEGIES = {
+    weighted: {
+        label: 'Frequência Ponderada', icon: '📊', color: '#10b981',
+        description: 'Os números mais sorteados na janela, com um peso aleatório somado à frequência',
+        params: () => ({
+            window: { type: 'integer', default: 100, min: 1, max: STRATEGY_HISTORY_LIMIT, description: 'Concursos analisados' },
+            noise: { type: 'number', default: 5, min: 0, max: 100, description: 'Peso aleatório máximo somado à frequência' }
+        }),
+        generate: generateWeightedBet
+    },
+    balanced: {
+        label: 'Mix Equilibrado', icon: '⚖️', color: '#3b82f6',
+        description: 'Mistura os números mais quentes, os mais frios e completa com os intermediários',
+        params: game => ({
+            window: { type: 'integer', default: 50, min: 1, max: STRATEGY_HISTORY_LIMIT, description: 'Concursos analisados' },
+            hot: { type: 'integer', default: Math.round(game.picks / 3), min: 0, max: game.picks, description: 'Números mais sorteados' },
+            cold: { type: 'integer', default: Math.round(game.picks / 3), min: 0, max: game.picks, description: 'Números menos sorteados' }
+        }),
+        validate: (params, game) => params.hot + params.cold > game.picks ? `hot + cold não pode passar de ${game.picks}` : null,
+        generate: generateBalancedBet
+    },
+    moderate: {
+        label: 'Evitar Extremos', icon: '🎯', color: '#8b5cf6',
+        description: 'Sorteia apenas números de uma faixa central, evitando as pontas do volante',
+        params: game => ({
+            min: { type: 'integer', default: Math.round(game.range / 5) + 1, min: 1, max: game.range, description: 'Menor número da faixa' },
+            max: { type: 'integer', default: game.range - Math.round(game.range / 5), min: 1, max: game.range, description: 'Maior número da faixa' }
+        }),
+        validate: (params, game) => params.max - params.min + 1 < game.picks ? `A faixa precisa ter pelo menos ${game.picks} números` : null,
+        generate: generateModerateBet
+    },
+    distributed: {
+        label: 'Distribuição Uniforme', icon: '📐', color: '#f59e0b',
+        description: 'Números divididos por igual entre as linhas do volante (na Lotofácil, 3 de cada grupo de 5)',
+        params: () => ({}),
+        generate: generateDistributedBet
+    },
+    intelligent: {
+        label: 'Inteligente', icon: '🧠', color: '#ec4899',
+        description: 'Parte dos pares que mais saíram juntos e completa com os números mais frequentes',
+        params: game => ({
+            window: { type: 'integer', default: 30, min: 1, max: STRATEGY_HISTORY_LIMIT, description: 'Concursos analisados' },
+            topPairs: { type: 'integer', default: Math.min(5, Math.floor(game.picks / 2)), min: 0, max: Math.floor(game.picks / 2), description: 'Pares mais frequentes usados como base' }
+        }),
+        generate: generateIntelligentBet
+    },
+    random: {
+        label: 'Aleatório Puro', icon: '🎲', color: '#6b7280',
+        description: 'Números sorteados ao acaso, a referência para comparar as outras',
+        params: () => ({}),
+        generate: generateRandomBet
+    }
+};
+
+// Valida os parâmetros enviados por estratégia ({ weighted: { window: 200 } }); retorna a mensagem de erro ou null
+function validateStrategyOverrides(game, overrides = {}) {
+    for (const [name, values] of Object.entries(overrides || {})) {
+        const strategy = STRATEGIES[name];
+        if (!strategy) return `Estratégia desconhecida: ${name}`;
+        const schemas = strategy.params(game);
+        for (const [key, value] of Object.entries(values || {})) {
+            const schema = schemas[key];
+            if (!schema) return `${name}: parâmetro desconhecido "${key}"`;
+            if (typeof value !== 'number' || Number.isNaN(value)) return `${name}.${key} deve ser numérico`;
+            if (schema.type === 'integer' && !Number.isInteger(value)) return `${name}.${key} deve ser inteiro`;
+            if (value < schema.min || value > schema.max) return `${name}.${key} deve estar entre ${schema.min} e ${schema.max}`;
+        }
+        const invalid = strategy.validate && strategy.validate(resolveStrategyParams(game, name, values), game);
+        if (invalid) return `${name}: ${invalid}`;
+    }
+    return null;
+}
+
+function resolveStrategyParams(game, name, overrides = {}) {
+    const params = {};
+    for (const [key, schema] of Object.entries(STRATEGIES[name].params(game))) {
+        params[key] = overrides?.[key] ?? schema.default;
+    }
+    return params;
+}
+
+// Quantos concursos de histórico as estratégias precisam
+// O filtro de repetidas precisa ao menos do último concurso
+function requiredHistory(paramsList, filters = null) {
+    return Math.max(filters && filters.repeats ? 1 : 0, ...paramsList.map(params => params.window || 0));
+}
+
+// Mesmo jogo, estratégia, parâmetros, semente e histórico => mesmos números
+function generateBet(game, name, params, historyRows, seed = newSeed(), filters = null, size = game.picks) {
+    const window = historyRows.slice(0, requiredHistory([params], filters));
+    const numbers = STRATEGIES[name].generate(game, window.map(row => row.numbers), params, createRandom(seed), size);
+    return { numbers, seed, params, filters: hasFilters(filters) ? filters : null, repairRound: null, ...historySnapshot(window) };
+}
+
+// Aposta e lançamento na banca entram juntos
+// `dailySlot`: reserva (jogo, data, estratégia, slot) antes; se outra execução já reservou, nada é gravado e volta null
+async function saveBet(game, strategy, bet, { type, date, target, poolId = null, dailySlot = null, allocationId = null, pickedBy = null }) {
+    return withTransaction(async db => {
+        if (dailySlot !== null) {
+            const claimed = await db.query(
+                'INSERT INTO daily_bets (game, date, strategy, slot) VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING RETURNING strategy',
+                [game.id, date, strategy, dailySlot]
+            );
+            if (claimed.rows.length === 0) return null;
+        }
+        const result = await db.query(
+            `INSERT INTO bets (
+                game, strategy, numbers, date, type, target_contest, draw_date,
+                seed, strategy_params, history_contest, history_snapshot, filters, filter_repair_round, cost, pool_id, allocation_id, picked_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING *`,
+            [
+                game.id, strategy, bet.numbers, date, type, target.targetContest, target.drawDate,
+                bet.seed, JSON.stringify(bet.params), bet.historyContest, bet.historySnapshot,
+                bet.filters ? JSON.stringify(bet.filters) : null, bet.repairRound, betPrice(game, bet.numbers.length), poolId, allocationId, pickedBy
+            ]
+        );
+        const saved = result.rows[0];
+        if (dailySlot !== null) {
+            await db.query(
+                'UPDATE daily_bets SET bet_id = $1 WHERE game = $2 AND date = $3 AND strategy = $4 AND slot = $5',
+                [saved.id, game.id, date, strategy, dailySlot]
+            );
+        }
+        // Aposta de bolão é paga pelas cotas, não pela banca
+        if (poolId === null) {
+            await recordBankroll('bet', -parseFloat(saved.cost), { betId: saved.id, game: game.id, date, description: `Aposta #${saved.id} (${game.label}, ${strategy})` }, db);
+        }
+        return saved;
+    });
+}
+
+// Sem acesso ao banco as estratégias usam histórico vazio
+async function loadHistoryOrEmpty(game, limit, beforeContest = null) {
+    try {
+        return await loadHistory(game, limit, beforeContest);
+    } catch (error) {
+        console.error('❌ Histórico indisponível:', error.message);
+        return [];
+    }
+}
+
+// Vagas do dia: uma por estratégia ou, com DAILY_ALLOCATION, as da decisão do alocador (tomada uma vez por jogo e data)
+async function dailySlots(game, date) {
+    const settings = dailyAllocation(game);
+    if (!settings) return { slots: Object.keys(STRATEGIES).map(name => ({ name, slot: 0 })), decision: null };
+    const decision = await dailyAllocationDecision(game, date, settings);
+    const slots = Object.entries(decision.allocation)
+        .flatMap(([name, count]) => Array.from({ length: count }, (_, slot) => ({ name, slot })))
+        .sort((a, b) => a.slot - b.slot);
+    return { slots, decision };
+}
+
+function slotLabel({ name, slot }) {
+    return slot > 0 ? `${name}#${slot + 1}` : name;
 }
 
-async function generateDailyBets() {
+// Apostas automáticas do jogo em `date`, no máximo uma por vaga (estratégia e slot): as já geradas no dia são puladas.
+// Para um dia perdido (recuperação) o alvo é o sorteio seguinte àquela meia-noite e o histórico para antes dele
+async function generateDailyBets(game, date = getTodayBrazil()) {
     console.log('');
     console.log('═══════════════════════════════════════');
-    console.log('🎲 GERANDO 6 APOSTAS DIÁRIAS');
+    console.log(`🎲 GERANDO APOSTAS DIÁRIAS — ${game.label.toUpperCase()}`);
     console.log('═══════════════════════════════════════');
     
-    const strategies = [
-        { name: 'weighted', fn: generateWeightedBet },
-        { name: 'balanced', fn: generateBalancedBet },
-        { name: 'moderate', fn: generateModerateBet },
-        { name: 'distributed', fn: generateDistributedBet },
-        { name: 'intelligent', fn: generateIntelligentBet },
-        { name: 'random', fn: generateRandomBet }
-    ];
+    const { slots, decision } = await dailySlots(game, date);
+    const done = await pool.query('SELECT strategy, slot FROM daily_bets WHERE game = $1 AND date = $2', [game.id, date]);
+    const taken = new Set(done.rows.map(row => slotLabel({ name: row.strategy, slot: row.slot })));
+    const skipped = slots.map(slotLabel).filter(label => taken.has(label));
+    const strategies = slots
+        .filter(slot => !taken.has(slotLabel(slot)))
+        .map(slot => ({ ...slot, params: resolveStrategyParams(game, slot.name) }));
+    if (strategies.length === 0) {
+        console.log(`⏭️ Apostas de ${date} já geradas`);
+        console.log('═══════════════════════════════════════');
+        return { created: 0, skipped };
+    }
+    const filters = dailyBetFilters(game);
     
-    const today = getTodayBrazil();
-    console.log(`📅 Data: ${today}`);
+    const budget = applyBudget(await budgetStatus(date), strategies.length, betPrice(game, game.picks));
+    if (budget.reason) {
+        console.log(`💸 ${budget.reason} → ${budget.allowed} de ${budget.requested} apostas`);
+        notifyBudgetLimit(budget, 'Geração diária');
+    }
+    if (budget.allowed === 0) {
+        console.log('⛔ Geração diária cancelada pela banca');
+        console.log('═══════════════════════════════════════');
+        return { created: 0, skipped, budget: budget.reason };
+    }
+    strategies.splice(budget.allowed);
+    
+    const target = await getBetTarget(game, date === getTodayBrazil() ? getNowBrazil() : brazilMidnight(date));
+    const history = await loadHistoryOrEmpty(game, requiredHistory(strategies.map(strategy => strategy.params), filters), target.targetContest);
+    const exclusions = await loadFilterExclusions(game, filters, date);
+    console.log(`📅 Data: ${date}`);
+    console.log(`🎯 Sorteio: ${target.drawDate} (concurso ${target.targetContest ? '#' + target.targetContest : 'a definir'})`);
+    if (filters) console.log(`🧩 Filtros: ${JSON.stringify(filters)}`);
     console.log('');
     
+    const saved = [];
+    const failed = [];
     for (const strategy of strategies) {
         try {
-            const numbers = await strategy.fn();
-            if (numbers.length !== 15) {
-                console.error(`❌ ${strategy.name}: ${numbers.length} números`);
+            const bet = generateFilteredBet(game, strategy.name, strategy.params, history, newSeed(), filters, exclusions);
+            if (bet.numbers.length !== game.picks) {
+                console.error(`❌ ${strategy.name}: ${bet.numbers.length} números`);
+                failed.push(strategy.name);
                 continue;
             }
-            await pool.query(
-                'INSERT INTO bets (strategy, numbers, date, type) VALUES ($1, $2, $3, $4)',
-                [strategy.name, numbers, today, 'auto']
-            );
-            console.log(`✅ ${strategy.name}: [${numbers.join(', ')}]`);
+            const stored = await saveBet(game, strategy.name, bet, {
+                type: 'auto', date, target, dailySlot: strategy.slot, allocationId: decision ? decision.id : null
+            });
+            if (!stored) {
+                console.log(`⏭️ ${slotLabel(strategy)}: já gerada em ${date}`);
+                skipped.push(slotLabel(strategy));
+                continue;
+            }
+            saved.push(stored);
+            if (filters && filters.excludeTodayBets) exclusions.add(betKey(bet.numbers));
+            console.log(`✅ ${strategy.name}: [${bet.numbers.join(', ')}] (semente ${bet.seed}${bet.repairRound !== null ? ', reparada' : ''})`);
         } catch (error) {
             console.error(`❌ ${strategy.name}:`, error.message);
+            failed.push(strategy.name);
         }
     }
     
     console.log('');
-    console.log('✅ 6 APOSTAS DIÁRIAS GERADAS!');
+    console.log('✅ APOSTAS DIÁRIAS GERADAS!');
     console.log('═══════════════════════════════════════');
     console.log('');
+    
+    if (saved.length > 0) notifyBetsGenerated(saved, 'Geração diária');
+    return {
+        created: saved.length, skipped, failed, budget: budget.reason,
+        targetContest: target.targetContest, drawDate: target.drawDate, allocationId: decision ? decision.id : null
+    };
 }
 
-// ==================== RESULT CHECKING ====================
+// ==================== FILTERS ====================
 
-async function checkBetsWithResult(resultData) {
-    console.log('');
-    console.log('═══════════════════════════════════════');
-    console.log('🎯 CONFERINDO APOSTAS');
-    console.log('═══════════════════════════════════════');
-    console.log(`📊 Concurso: ${resultData.contestNumber}`);
-    console.log(`📅 Data: ${resultData.date}`);
-    console.log(`🎲 Números: [${resultData.numbers.join(', ')}]`);
-    console.log(`📡 Fonte: ${resultData.source}`);
-    console.log('');
-    
-    try {
-        const existing = await pool.query(
-            'SELECT id FROM results WHERE contest_number = $1',
-            [resultData.contestNumber]
-        );
-        
-        if (existing.rows.length > 0) {
-            console.log(`ℹ️ Concurso ${resultData.contestNumber} já conferido`);
-            console.log('═══════════════════════════════════════');
-            return { success: true, checked: 0, totalPrize: 0, message: 'Já conferido' };
-        }
-        
-        const pending = await pool.query(
-            'SELECT * FROM bets WHERE result_numbers IS NULL ORDER BY date ASC'
-        );
-        
-        if (pending.rows.length === 0) {
-            console.log('ℹ️ Sem apostas pendentes');
-            console.log('═══════════════════════════════════════');
-            return { success: true, checked: 0, totalPrize: 0, message: 'Sem apostas pendentes' };
-        }
-        
-        console.log(`📋 ${pending.rows.length} apostas pendentes`);
-        console.log('');
-        console.log('Conferindo...');
-        console.log('─────────────────────────────────────────');
-        
-        let totalPrize = 0;
-        let totalCost = 0;
-        let checkedCount = 0;
-        
-        for (const bet of pending.rows) {
-            const matches = bet.numbers.filter(num => 
-                resultData.numbers.includes(num)
-            ).length;
-            
-            const prize = resultData.prizes[matches] || 0;
-            totalPrize += prize;
-            totalCost += PRICING.betCost;
-            
-            await pool.query(
-                `UPDATE bets 
-                 SET result_numbers = $1, matches = $2, prize = $3, contest_number = $4 
-                 WHERE id = $5`,
-                [resultData.numbers, matches, prize, resultData.contestNumber, bet.id]
-            );
-            
-            checkedCount++;
-            const typeEmoji = bet.type === 'auto' ? '🤖' : '🎲';
-            const prizeEmoji = prize > 0 ? '💰' : '  ';
-            console.log(`${prizeEmoji} #${bet.id} ${typeEmoji} ${bet.strategy.padEnd(15)} → ${matches} acertos → R$ ${prize.toFixed(2)}`);
+// Tentativas com sementes derivadas antes de partir para o reparo
+const FILTER_MAX_ATTEMPTS = envInt('FILTER_MAX_ATTEMPTS', 200);
+const FILTER_REPAIR_STEPS = 2000;
+const FILTER_REPAIR_ROUNDS = 20;
+
+// Limite máximo de cada faixa conforme o volante (na Lotofácil: 15, 325, 15, 9 e 15)
+const FILTER_RANGES = {
+    odd: { label: 'ímpares', max: game => game.picks },
+    sum: { label: 'soma', max: game => game.range * (game.range + 1) / 2 },
+    frame: { label: 'moldura', max: game => Math.min(game.picks, game.grid.frame.length) },
+    center: { label: 'miolo', max: game => Math.min(game.picks, game.grid.center.length) },
+    repeats: { label: 'repetidas do último concurso', max: game => Math.min(game.picks, game.drawn) }
+};
+const FILTER_FLAGS = ['excludePastDraws', 'excludeTodayBets'];
+
+function hasFilters(filters) {
+    return !!filters && Object.keys(filters).some(key => filters[key] !== undefined && filters[key] !== null && filters[key] !== false);
+}
+
+function validateFilters(game, filters) {
+    if (filters === undefined || filters === null) return null;
+    if (typeof filters !== 'object' || Array.isArray(filters)) return 'Filtros devem ser um objeto';
+
+    for (const [key, value] of Object.entries(filters)) {
+        if (value === undefined || value === null) continue;
+        if (FILTER_RANGES[key]) {
+            if (typeof value !== 'object' || Array.isArray(value)) return `Filtro ${key}: use { min, max }`;
+            const unknown = Object.keys(value).find(bound => bound !== 'min' && bound !== 'max');
+            if (unknown) return `Filtro ${key}: limite desconhecido ${unknown}`;
+            for (const bound of ['min', 'max']) {
+                if (value[bound] === undefined || value[bound] === null) continue;
+                const max = FILTER_RANGES[key].max(game);
+                if (!Number.isInteger(value[bound]) || value[bound] < 0 || value[bound] > max) {
+                    return `Filtro ${key}.${bound} deve ser inteiro entre 0 e ${max}`;
+                }
+            }
+            if (value.min != null && value.max != null && value.min > value.max) return `Filtro ${key}: min maior que max`;
+        } else if (key === 'maxConsecutive') {
+            if (!Number.isInteger(value) || value < 1 || value > game.picks) return `Filtro maxConsecutive deve ser inteiro entre 1 e ${game.picks}`;
+        } else if (FILTER_FLAGS.includes(key)) {
+            if (typeof value !== 'boolean') return `Filtro ${key} deve ser true ou false`;
+        } else {
+            return `Filtro desconhecido: ${key}`;
         }
-        
-        const balance = totalPrize - totalCost;
-        
-        console.log('🆕 Salvando resultado...');
-        await pool.query(
-            `INSERT INTO results (
-                contest_number, numbers, date,
-                prize_11, prize_12, prize_13, prize_14, prize_15, 
-                source, total_prize, total_cost, balance, bets_checked
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
-            [
-                resultData.contestNumber,
-                resultData.numbers,
-                resultData.date,
-                resultData.prizes[11],
-                resultData.prizes[12],
-                resultData.prizes[13],
-                resultData.prizes[14],
-                resultData.prizes[15],
-                resultData.source,
-                totalPrize,
-                totalCost,
-                balance,
-                checkedCount
-            ]
-        );
-        console.log('✅ Resultado salvo!');
-        
-        console.log('─────────────────────────────────────────');
-        console.log('');
-        console.log(`✅ ${checkedCount} APOSTAS CONFERIDAS!`);
-        console.log(`💰 Prêmios: R$ ${totalPrize.toFixed(2)}`);
-        console.log(`💵 Investimento: R$ ${totalCost.toFixed(2)}`);
-        console.log(`📊 Saldo do Dia: R$ ${balance.toFixed(2)} ${balance >= 0 ? '✅' : '❌'}`);
-        console.log('═══════════════════════════════════════');
-        console.log('');
-        
-        return { success: true, checked: checkedCount, totalPrize, balance };
-    } catch (error) {
-        console.error('❌ ERRO:', error);
-        console.log('═══════════════════════════════════════');
-        return { success: false, error: error.message };
     }
+    return null;
 }
 
-// ==================== API ====================
+function longestRun(numbers) {
+    const sorted = [...numbers].sort((a, b) => a - b);
+    let longest = 0, current = 0;
+    sorted.forEach((num, i) => {
+        current = i > 0 && num === sorted[i - 1] + 1 ? current + 1 : 1;
+        longest = Math.max(longest, current);
+    });
+    return longest;
+}
+
+function betFeatures(game, numbers, lastDraw) {
+    return {
+        odd: numbers.filter(num => num % 2 === 1).length,
+        sum: numbers.reduce((total, num) => total + num, 0),
+        frame: countIn(numbers, game.grid.frame),
+        center: countIn(numbers, game.grid.center),
+        repeats: lastDraw ? countIn(numbers, lastDraw) : null,
+        maxConsecutive: longestRun(numbers)
+    };
+}
+
+// Distância de cada filtro até ser atendido (0 = atendido)
+function filterDistances(game, numbers, filters, lastDraw) {
+    const features = betFeatures(game, numbers, lastDraw);
+    const distances = {};
+    for (const key of Object.keys(FILTER_RANGES)) {
+        const range = filters[key];
+        if (!range || features[key] === null) continue;
+        const value = features[key];
+        distances[key] = range.min != null && value < range.min ? range.min - value
+            : range.max != null && value > range.max ? value - range.max
+            : 0;
+    }
+    if (filters.maxConsecutive) distances.maxConsecutive = Math.max(0, features.maxConsecutive - filters.maxConsecutive);
+    return distances;
+}
+
+function filterViolation(game, numbers, filters, lastDraw) {
+    return Object.values(filterDistances(game, numbers, filters, lastDraw)).reduce((total, distance) => total + distance, 0);
+}
+
+function violatedFilters(game, numbers, filters, lastDraw) {
+    return Object.entries(filterDistances(game, numbers, filters, lastDraw))
+        .filter(([, distance]) => distance > 0)
+        .map(([key]) => key);
+}
+
+// Troca um número por vez, sem piorar, até atender os filtros; determinístico para a mesma semente.
+// A partir da 2ª rodada começa com uma troca forçada, para sair de apostas repetidas.
+function swapRandomNumber(game, numbers, random) {
+    const outside = [];
+    for (let num = 1; num <= game.range; num++) if (!numbers.includes(num)) outside.push(num);
+    const swapped = [...numbers];
+    swapped[Math.floor(random() * swapped.length)] = outside[Math.floor(random() * outside.length)];
+    return swapped;
+}
+
+function repairBet(game, numbers, filters, lastDraw, round) {
+    const random = createRandom(`${betKey(numbers)}:repair:${round}`);
+    let current = round > 0 ? swapRandomNumber(game, numbers, random) : [...numbers];
+    let violation = filterViolation(game, current, filters, lastDraw);
+    for (let step = 0; step < FILTER_REPAIR_STEPS && violation > 0; step++) {
+        const candidate = swapRandomNumber(game, current, random);
+        const candidateViolation = filterViolation(game, candidate, filters, lastDraw);
+        if (candidateViolation <= violation) {
+            current = candidate;
+            violation = candidateViolation;
+        }
+    }
+    return violation === 0 ? current.sort((a, b) => a - b) : null;
+}
+
+function betKey(numbers) {
+    return [...numbers].sort((a, b) => a - b).join('-');
+}
+
+// Sorteios passados e apostas de hoje que os filtros de exclusão precisam conhecer
+async function loadFilterExclusions(game, filters, date) {
+    const exclusions = new Set();
+    if (!filters) return exclusions;
+    if (filters.excludePastDraws) {
+        const draws = await pool.query('SELECT numbers FROM results WHERE game = $1', [game.id]);
+        draws.rows.forEach(row => exclusions.add(betKey(row.numbers)));
+    }
+    if (filters.excludeTodayBets) {
+        const bets = await pool.query('SELECT numbers FROM bets WHERE game = $1 AND date = $2', [game.id, date]);
+        bets.rows.forEach(row => exclusions.add(betKey(row.numbers)));
+    }
+    return exclusions;
+}
+
+// Tenta sementes derivadas da original; se nenhuma atender, repara a melhor candidata.
+// A semente gravada é a da candidata e a rodada de reparo também, então a aposta continua reprodutível.
+function generateFilteredBet(game, name, params, historyRows, seed, filters, exclusions = new Set(), size = game.picks) {
+    if (!hasFilters(filters)) return generateBet(game, name, params, historyRows, seed, null, size);
+
+    const lastDraw = historyRows[0]?.numbers || null;
+    const isExcluded = numbers => (filters.excludePastDraws || filters.excludeTodayBets) && exclusions.has(betKey(numbers));
+    let best = null;
+
+    for (let attempt = 0; attempt < FILTER_MAX_ATTEMPTS; attempt++) {
+        const attemptSeed = attempt === 0 ? seed : hashSeed(`${seed}:${attempt}`);
+        const bet = generateBet(game, name, params, historyRows, attemptSeed, filters, size);
+        const violation = filterViolation(game, bet.numbers, filters, lastDraw);
+        const excluded = isExcluded(bet.numbers);
+        if (!excluded && violation === 0) return { ...bet, attempts: attempt + 1 };
+        // Para o reparo, melhor uma candidata inédita; entre iguais, a mais perto dos filtros
+        if (!best || excluded < best.excluded || (excluded === best.excluded && violation < best.violation)) {
+            best = { bet, violation, excluded };
+        }
+    }
+
+    for (let round = 0; round < FILTER_REPAIR_ROUNDS; round++) {
+        const repaired = repairBet(game, best.bet.numbers, filters, lastDraw, round);
+        if (repaired && !isExcluded(repaired)) {
+            return { ...best.bet, numbers: repaired, repairRound: round, attempts: FILTER_MAX_ATTEMPTS };
+        }
+    }
+    const violated = violatedFilters(game, best.bet.numbers, filters, lastDraw);
+    throw new Error(`Filtros não atendidos após ${FILTER_MAX_ATTEMPTS} tentativas e ${FILTER_REPAIR_ROUNDS} reparos: ${violated.join(', ') || 'aposta repetida'}`);
+}
+
+// Refaz uma aposta gravada: mesma candidata e, se foi reparada, a mesma rodada de reparo
+function reproduceBet(game, name, params, historyRows, seed, filters, repairRound, size = game.picks) {
+    const bet = generateBet(game, name, params, historyRows, seed, filters, size);
+    if (repairRound === null || repairRound === undefined) return bet;
+    const lastDraw = historyRows[0]?.numbers || null;
+    return { ...bet, numbers: repairBet(game, bet.numbers, filters, lastDraw, repairRound) || [], repairRound };
+}
+
+// Filtros da geração diária vêm do ambiente (JSON), ex.: {"odd":{"min":7,"max":9}}
+// DAILY_BET_FILTERS vale para a Lotofácil; os outros jogos usam DAILY_BET_FILTERS_MEGASENA etc.
+function dailyBetFilters(game) {
+    const value = gameEnv('DAILY_BET_FILTERS', game);
+    if (!value) return null;
+    try {
+        const filters = JSON.parse(value);
+        const invalid = validateFilters(game, filters);
+        if (invalid) {
+            console.error(`❌ DAILY_BET_FILTERS (${game.label}) ignorado:`, invalid);
+            return null;
+        }
+        return filters;
+    } catch (error) {
+        console.error(`❌ DAILY_BET_FILTERS (${game.label}) não é um JSON válido:`, error.message);
+        return null;
+    }
+}
+
+// ==================== CLOSINGS ====================
+
+// Desdobramentos: conjunto reduzido de apostas simples tirado de um grupo maior
+// (na Lotofácil, apostas de 15 números a partir de 16 a 21)
+const CLOSING_STRATEGY = 'closing';
+const CLOSING_POOL_MAX = 21;
+// Limite de operações do cálculo (grupos grandes com garantias baixas ficam caros).
+// O cálculo roda na thread das requisições: 6 milhões fica perto de um segundo no pior caso aceito
+// (21 números com 14 acertos se sair 15); checkClosingLimit avisa na partida se o padrão não couber
+const CLOSING_MAX_WORK = envInt('CLOSING_MAX_WORK', 6000000);
+// A busca da melhor aposta é um laço simples sobre um array: cada passo custa ~1/50 de uma atualização de ganhos
+const CLOSING_SCAN_COST = 1 / 50;
+
+function validateClosing(game, { pool: numbers, hits, drawn }) {
+    if (!Array.isArray(numbers)) return 'Informe o grupo de números (pool)';
+    if (numbers.length <= game.picks || numbers.length > CLOSING_POOL_MAX) {
+        return `O grupo precisa ter de ${game.picks + 1} a ${CLOSING_POOL_MAX} números`;
+    }
+    if (numbers.some(num => !Number.isInteger(num) || num < 1 || num > game.range)) return `Os números devem estar entre 1 e ${game.range}`;
+    if (new Set(numbers).size !== numbers.length) return 'Os números do grupo devem ser únicos';
+    if (!Number.isInteger(hits) || hits < game.tiers[0] || hits > game.picks) {
+        return `A garantia (hits) deve ser de ${game.tiers[0]} a ${game.picks} acertos`;
+    }
+    if (!Number.isInteger(drawn) || drawn < hits || drawn > game.drawn) return `drawn deve ser de hits a ${game.drawn} números sorteados do grupo`;
+    return null;
+}
+
+// Chama callback com cada subconjunto de `size` bits de `mask`
+function forEachSubset(mask, size, callback) {
+    const bits = [];
+    for (let bit = 0; mask >>> bit; bit++) if (mask & (1 << bit)) bits.push(1 << bit);
+    const pick = (start, left, chosen) => {
+        if (left === 0) return callback(chosen);
+        for (let i = start; i <= bits.length - left; i++) pick(i + 1, left - 1, chosen | bits[i]);
+    };
+    pick(0, size, 0);
+}
+
+// Subconjuntos de `size` bits de `all` que têm pelo menos `shared` bits em comum com `base`
+function forEachNear(base, all, size, shared, callback) {
+    const baseSize = bitCount(base);
+    const rest = all & ~base;
+    const restSize = bitCount(rest);
+    for (let inside = Math.max(shared, size - restSize); inside <= Math.min(size, baseSize); inside++) {
+        forEachSubset(base, inside, part => forEachSubset(rest, size - inside, other => callback(part | other)));
+    }
+}
+
+function bitCount(mask) {
+    let count = 0;
+    for (; mask; mask &= mask - 1) count++;
+    return count;
+}
+
+const CLOSING_BINOMIALS = Array.from({ length: 32 }, (_, n) => Array.from({ length: 32 }, (_, k) => combinations(n, k)));
+
+// Posição do subconjunto na ordem colex (índice único entre os de mesmo tamanho)
+function subsetRank(mask) {
+    let rank = 0, position = 0;
+    while (mask) {
+        const lowest = mask & -mask;
+        rank += CLOSING_BINOMIALS[31 - Math.clz32(lowest)][++position];
+        mask ^= lowest;
+    }
+    return rank;
+}
+
+function nearCount(baseSize, total, size, shared) {
+    let count = 0;
+    for (let inside = shared; inside <= size; inside++) count += combinations(baseSize, inside) * combinations(total - baseSize, size - inside);
+    return count;
+}
+
+// Atualização dos ganhos + busca da melhor aposta a cada passo (estimativa)
+function closingWork(game, size, hits, drawn) {
+    const targetCount = combinations(size, drawn);
+    const steps = targetCount / nearCount(game.picks, size, drawn, hits);
+    return targetCount * nearCount(drawn, size, game.picks, hits) + steps * combinations(size, game.picks) * CLOSING_SCAN_COST;
+}
+
+// Garantia padrão (um acerto a menos que o máximo, com todos os sorteados no grupo) no maior grupo aceito
+function checkClosingLimit(game) {
+    const work = closingWork(game, CLOSING_POOL_MAX, game.picks - 1, game.drawn);
+    if (work > CLOSING_MAX_WORK) {
+        console.log(`⚠️ ${game.label}: CLOSING_MAX_WORK (${CLOSING_MAX_WORK}) recusa o desdobramento padrão de ${CLOSING_POOL_MAX} números (${Math.ceil(work)})`);
+    }
+    return work <= CLOSING_MAX_WORK;
+}
+
+// Guloso: a cada passo escolhe a aposta que cobre mais combinações de `drawn` números ainda sem garantia.
+// Toda combinação de `drawn` números do grupo fica com pelo menos uma aposta de `hits` acertos.
+function buildClosing(game, poolNumbers, hits, drawn) {
+    const numbers = [...poolNumbers].sort((a, b) => a - b);
+    const size = numbers.length;
+    const all = 2 ** size - 1;
+    const targetCount = combinations(size, drawn);
+    const blockCount = combinations(size, game.picks);
+    const initialGain = nearCount(game.picks, size, drawn, hits);
+    if (closingWork(game, size, hits, drawn) > CLOSING_MAX_WORK) {
+        throw new Error(`Garantia de ${hits} acertos com ${drawn} sorteados em ${size} números é pesada demais para calcular; reduza o grupo ou aumente a garantia`);
+    }
+
+    const blocks = new Int32Array(blockCount);
+    forEachSubset(all, game.picks, mask => { blocks[subsetRank(mask)] = mask; });
+    const gains = new Int32Array(blockCount).fill(initialGain);
+    const covered = new Uint8Array(targetCount);
+    let remaining = targetCount;
+    const chosen = [];
+
+    while (remaining > 0) {
+        let best = 0;
+        for (let i = 1; i < gains.length; i++) if (gains[i] > gains[best]) best = i;
+        chosen.push(blocks[best]);
+        forEachNear(blocks[best], all, drawn, hits, target => {
+            const index = subsetRank(target);
+            if (covered[index]) return;
+            covered[index] = 1;
+            remaining--;
+            forEachNear(target, all, game.picks, hits, block => { gains[subsetRank(block)]--; });
+        });
+    }
+
+    return {
+        pool: numbers,
+        hits,
+        drawn,
+        guarantee: `${hits} acertos se ${drawn} dos ${size} números do grupo forem sorteados`,
+        bets: chosen.map(mask => numbers.filter((num, bit) => mask & (1 << bit))),
+        fullCount: blockCount
+    };
+}
+
+// ==================== PICKED BETS ====================
+
+// Apostas escolhidas à mão por alguém da equipe: tipo e estratégia próprios, sem semente nem parâmetros
+const PICKED_TYPE = 'picked';
+const PICKED_STRATEGY = 'picked';
+
+function validatePickedBet(game, { numbers, targetContest, pickedBy }) {
+    const invalid = validateNumbers(game, numbers, game.picks);
+    if (invalid) return invalid;
+    if (targetContest !== undefined && targetContest !== null && (!Number.isInteger(targetContest) || targetContest < 1)) {
+        return 'targetContest deve ser um número de concurso';
+    }
+    if (pickedBy !== undefined && pickedBy !== null && (typeof pickedBy !== 'string' || pickedBy.trim().length > 100)) {
+        return 'pickedBy deve ser um nome de até 100 caracteres';
+    }
+    return null;
+}
+
+// "1,2,3" ou "01 02 03" (query string do conferidor)
+function parseNumberList(value) {
+    return String(value || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+}
+
+// ==================== POOLS ====================
+
+const POOL_MAX_FEE_PERCENT = 50;
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function validatePool({ name, sharePrice, feePercent = 0 }) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) return 'Informe o nome do bolão (até 100 caracteres)';
+    if (typeof sharePrice !== 'number' || !(sharePrice > 0)) return 'sharePrice (valor da cota) deve ser maior que zero';
+    if (typeof feePercent !== 'number' || feePercent < 0 || feePercent > POOL_MAX_FEE_PERCENT) {
+        return `feePercent (taxa do organizador) deve ser de 0 a ${POOL_MAX_FEE_PERCENT}`;
+    }
+    return null;
+}
+
+// Divide em centavos proporcionalmente às cotas; os centavos que sobram vão para as maiores frações
+function splitByShares(amount, participants) {
+    const totalShares = participants.reduce((sum, participant) => sum + participant.shares, 0);
+    const cents = Math.round(amount * 100);
+    const parts = participants.map((participant, index) => {
+        const exact = cents * participant.shares / totalShares;
+        return { participant, index, cents: Math.floor(exact), fraction: exact - Math.floor(exact) };
+    });
+    let leftover = cents - parts.reduce((sum, part) => sum + part.cents, 0);
+    [...parts].sort((a, b) => b.fraction - a.fraction || a.index - b.index).forEach(part => {
+        if (leftover > 0) {
+            part.cents++;
+            leftover--;
+        }
+    });
+    return parts.map(part => ({ ...part.participant, amount: part.cents / 100 }));
+}
+
+// Refaz a divisão do concurso para cada bolão com apostas nele (chamada na conferência e na correção de prêmios)
+async function settlePools(game, contestNumber, db = pool) {
+    const totals = await db.query(
+        `SELECT p.id, p.name, p.fee_percent, COALESCE(SUM(b.prize), 0) AS prize
+         FROM pools p JOIN bets b ON b.pool_id = p.id
+         WHERE b.game = $1 AND b.contest_number = $2
+         GROUP BY p.id ORDER BY p.id`,
+        [game.id, contestNumber]
+    );
+    
+    const settled = [];
+    for (const row of totals.rows) {
+        // Mesma trava da entrada no bolão: as cotas não mudam durante a divisão
+        await db.query('SELECT id FROM pools WHERE id = $1 FOR UPDATE', [row.id]);
+        await db.query(
+            `DELETE FROM pool_ledger WHERE pool_id = $1 AND game = $2 AND contest_number = $3 AND kind IN ('prize', 'fee')`,
+            [row.id, game.id, contestNumber]
+        );
+        const prize = parseFloat(row.prize);
+        const participants = await db.query('SELECT id, name, shares FROM pool_participants WHERE pool_id = $1 ORDER BY id', [row.id]);
+        if (prize <= 0 || participants.rows.length === 0) {
+            if (prize > 0) console.error(`⚠️ Bolão "${row.name}": prêmio de R$ ${prize.toFixed(2)} sem participantes`);
+            settled.push({ poolId: row.id, name: row.name, prize, fee: 0, shares: [] });
+            continue;
+        }
+        
+        const fee = roundCents(prize * parseFloat(row.fee_percent) / 100);
+        if (fee > 0) {
+            await db.query(
+                `INSERT INTO pool_ledger (pool_id, game, contest_number, kind, amount, description) VALUES ($1, $2, $3, 'fee', $4, $5)`,
+                [row.id, game.id, contestNumber, fee, `Taxa do organizador (${parseFloat(row.fee_percent)}%) no concurso ${contestNumber} da ${game.label}`]
+            );
+        }
+        const shares = splitByShares(prize - fee, participants.rows);
+        for (const share of shares) {
+            await db.query(
+                `INSERT INTO pool_ledger (pool_id, participant_id, game, contest_number, kind, amount, description) VALUES ($1, $2, $3, $4, 'prize', $5, $6)`,
+                [row.id, share.id, game.id, contestNumber, share.amount, `Prêmio do concurso ${contestNumber} da ${game.label} (${share.shares} cotas)`]
+            );
+        }
+        console.log(`👥 Bolão "${row.name}": R$ ${prize.toFixed(2)} (taxa R$ ${fee.toFixed(2)}) dividido entre ${shares.length} participantes`);
+        settled.push({ poolId: row.id, name: row.name, prize, fee, shares: shares.map(({ name, shares: count, amount }) => ({ name, shares: count, amount })) });
+    }
+    return settled;
+}
+
+async function poolStatement(poolId) {
+    const found = await pool.query('SELECT * FROM pools WHERE id = $1', [poolId]);
+    if (found.rows.length === 0) return null;
+    
+    const participants = await pool.query('SELECT * FROM pool_participants WHERE pool_id = $1 ORDER BY id', [poolId]);
+    const ledger = await pool.query('SELECT * FROM pool_ledger WHERE pool_id = $1 ORDER BY id', [poolId]);
+    const bets = await pool.query(
+        `SELECT COUNT(*) AS total, COUNT(result_numbers) AS checked, COALESCE(SUM(cost), 0) AS cost, COALESCE(SUM(prize), 0) AS prize
+         FROM bets WHERE pool_id = $1`,
+        [poolId]
+    );
+    const totalShares = participants.rows.reduce((sum, participant) => sum + participant.shares, 0);
+    const sumOf = (entries, kind) => roundCents(entries.filter(entry => entry.kind === kind).reduce((sum, entry) => sum + parseFloat(entry.amount), 0));
+    
+    const statements = participants.rows.map(participant => {
+        const entries = ledger.rows.filter(entry => entry.participant_id === participant.id);
+        const paidIn = sumOf(entries, 'payment');
+        const winnings = sumOf(entries, 'prize');
+        return {
+            id: participant.id,
+            name: participant.name,
+            shares: participant.shares,
+            sharePercent: totalShares > 0 ? parseFloat((participant.shares / totalShares * 100).toFixed(2)) : 0,
+            paidIn,
+            winnings,
+            net: roundCents(winnings - paidIn),
+            entries
+        };
+    });
+    
+    const collected = sumOf(ledger.rows, 'payment');
+    const betCost = parseFloat(bets.rows[0].cost);
+    return {
+        pool: found.rows[0],
+        totals: {
+            shares: totalShares,
+            collected,
+            bets: parseInt(bets.rows[0].total),
+            betsChecked: parseInt(bets.rows[0].checked),
+            betCost,
+            cash: roundCents(collected - betCost),
+            prizes: parseFloat(bets.rows[0].prize),
+            fees: sumOf(ledger.rows, 'fee'),
+            owed: sumOf(ledger.rows, 'prize')
+        },
+        participants: statements
+    };
+}
+
+// ==================== BANKROLL ====================
+
+// Chave da API => coluna de bankroll_settings
+const BUDGET_SETTINGS = {
+    dailyBudget: 'daily_budget',
+    monthlyBudget: 'monthly_budget',
+    stopLoss: 'stop_loss',
+    takeProfit: 'take_profit',
+    mode: 'mode',
+    enforceBalance: 'enforce_balance'
+};
+const BUDGET_MODES = ['scale', 'refuse'];
+
+function validateBudgetSettings(settings) {
+    for (const [key, value] of Object.entries(settings)) {
+        if (!BUDGET_SETTINGS[key]) return `Configuração desconhecida: ${key}`;
+        if (key === 'mode') {
+            if (!BUDGET_MODES.includes(value)) return `mode deve ser ${BUDGET_MODES.join(' ou ')}`;
+        } else if (key === 'enforceBalance') {
+            if (typeof value !== 'boolean') return 'enforceBalance deve ser true ou false';
+        } else if (value !== null && (typeof value !== 'number' || value < 0)) {
+            return `${key} deve ser um valor >= 0 ou null (sem limite)`;
+        }
+    }
+    return null;
+}
+
+// `game` fica null nos depósitos e saques: a banca é uma só para todos os jogos
+async function recordBankroll(kind, amount, { betId = null, game = null, contestNumber = null, description = null, date = getTodayBrazil() } = {}, db = pool) {
+    const result = await db.query(
+        `INSERT INTO bankroll_ledger (kind, amount, date, bet_id, game, contest_number, description)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [kind, roundCents(amount), date, betId, game, contestNumber, description]
+    );
+    return result.rows[0];
+}
+
+// Prêmios das apostas próprias do concurso; refeito quando a premiação é corrigida
+async function recordContestPrizes(game, contestNumber, db = pool) {
+    await db.query(`DELETE FROM bankroll_ledger WHERE kind = 'prize' AND game = $1 AND contest_number = $2`, [game.id, contestNumber]);
+    const result = await db.query(
+        'SELECT COALESCE(SUM(prize), 0) AS prize FROM bets WHERE game = $1 AND contest_number = $2 AND pool_id IS NULL',
+        [game.id, contestNumber]
+    );
+    const prize = parseFloat(result.rows[0].prize);
+    if (prize > 0) {
+        await recordBankroll('prize', prize, { game: game.id, contestNumber, description: `Prêmios do concurso ${contestNumber} da ${game.label}` }, db);
+    }
+    return prize;
+}
+
+async function loadBudgetSettings() {
+    const result = await pool.query('SELECT * FROM bankroll_settings WHERE id = 1');
+    const row = result.rows[0] || {};
+    return Object.fromEntries(Object.entries(BUDGET_SETTINGS).map(([key, column]) => {
+        const value = row[column] === undefined ? null : row[column];
+        if (key === 'mode') return [key, value || 'scale'];
+        if (key === 'enforceBalance') return [key, !!value];
+        return [key, value === null ? null : parseFloat(value)];
+    }));
+}
+
+// Quanto ainda pode ser gasto hoje e por quê; `blocked` traz o motivo quando stop-loss/take-profit travam tudo
+async function budgetStatus(date = getTodayBrazil()) {
+    const settings = await loadBudgetSettings();
+    const totals = await pool.query(
+        `SELECT
+            COALESCE(SUM(amount), 0) AS balance,
+            COALESCE(-SUM(amount) FILTER (WHERE kind = 'bet' AND date = $1), 0) AS spent_today,
+            COALESCE(-SUM(amount) FILTER (WHERE kind = 'bet' AND date_trunc('month', date) = date_trunc('month', $1::date)), 0) AS spent_month,
+            COALESCE(SUM(amount) FILTER (WHERE kind IN ('bet', 'prize') AND date_trunc('month', date) = date_trunc('month', $1::date)), 0) AS net_month
+         FROM bankroll_ledger`,
+        [date]
+    );
+    const row = totals.rows[0];
+    const balance = parseFloat(row.balance);
+    const spentToday = parseFloat(row.spent_today);
+    const spentMonth = parseFloat(row.spent_month);
+    const netMonth = parseFloat(row.net_month);
+    
+    const limits = [];
+    if (settings.dailyBudget !== null) limits.push({ limit: 'Orçamento diário', available: settings.dailyBudget - spentToday });
+    if (settings.monthlyBudget !== null) limits.push({ limit: 'Orçamento mensal', available: settings.monthlyBudget - spentMonth });
+    if (settings.enforceBalance) limits.push({ limit: 'Saldo da banca', available: balance });
+    const binding = limits.sort((a, b) => a.available - b.available)[0] || null;
+    
+    let blocked = null;
+    if (settings.stopLoss !== null && netMonth <= -settings.stopLoss) {
+        blocked = `Stop-loss atingido: resultado do mês R$ ${netMonth.toFixed(2)} (limite -R$ ${settings.stopLoss.toFixed(2)})`;
+    } else if (settings.takeProfit !== null && netMonth >= settings.takeProfit) {
+        blocked = `Take-profit atingido: resultado do mês R$ ${netMonth.toFixed(2)} (meta R$ ${settings.takeProfit.toFixed(2)})`;
+    }
+    
+    return {
+        settings,
+        balance,
+        spentToday,
+        spentMonth,
+        netMonth,
+        dailyRemaining: settings.dailyBudget === null ? null : roundCents(Math.max(0, settings.dailyBudget - spentToday)),
+        monthlyRemaining: settings.monthlyBudget === null ? null : roundCents(Math.max(0, settings.monthlyBudget - spentMonth)),
+        remaining: blocked ? 0 : binding ? roundCents(Math.max(0, binding.available)) : null,
+        limit: blocked ? null : binding ? binding.limit : null,
+        blocked
+    };
+}
+
+// Quantas das `count` apostas de `unitCost` cabem no orçamento; com mode=refuse (ou pedido indivisível) é tudo ou nada
+function applyBudget(status, count, unitCost, { scalable = true } = {}) {
+    if (status.blocked) return { requested: count, allowed: 0, reason: status.blocked };
+    const cost = roundCents(count * unitCost);
+    if (status.remaining === null || cost <= status.remaining) return { requested: count, allowed: count, reason: null };
+    
+    const reason = `${status.limit}: restam R$ ${status.remaining.toFixed(2)} para um pedido de R$ ${cost.toFixed(2)}`;
+    if (status.settings.mode === 'refuse' || !scalable) return { requested: count, allowed: 0, reason };
+    return { requested: count, allowed: Math.floor(roundCents(status.remaining / unitCost)), reason };
+}
+
+// Reduz a distribuição mantendo a proporção entre estratégias (maiores restos primeiro)
+function scaleDistribution(distribution, allowed) {
+    const entries = Object.entries(distribution).filter(([, count]) => count > 0);
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    if (allowed >= total) return { ...distribution };
+    const parts = entries.map(([name, count], index) => {
+        const exact = count * allowed / total;
+        return { name, index, count: Math.floor(exact), fraction: exact - Math.floor(exact) };
+    });
+    let leftover = allowed - parts.reduce((sum, part) => sum + part.count, 0);
+    [...parts].sort((a, b) => b.fraction - a.fraction || a.index - b.index).forEach(part => {
+        if (leftover > 0) {
+            part.count++;
+            leftover--;
+        }
+    });
+    return Object.fromEntries(parts.map(part => [part.name, part.count]));
+}
+
+// ==================== NOTIFICATIONS ====================
+
+// Eventos que cada assinatura pode escolher
+const NOTIFICATION_EVENTS = {
+    bets_generated: 'Apostas geradas',
+    contest_checked: 'Concurso conferido',
+    bet_won: 'Aposta premiada (11+ acertos)',
+    result_missing: 'Resultado não chegou até 22:00',
+    budget_limit: 'Limite da banca atingido'
+};
+const NOTIFY = {
+    timeoutMs: envInt('NOTIFY_TIMEOUT_MS', 10000),
+    smtp: {
+        host: process.env.SMTP_HOST || null,
+        port: envInt('SMTP_PORT', 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASS || '',
+        from: process.env.SMTP_FROM || 'lotofacil-tracker@localhost'
+    }
+};
+
+// Lê as respostas do servidor SMTP (várias linhas "250-..." terminadas por "250 ...")
+function smtpReader(socket) {
+    let buffer = '';
+    let failure = null;
+    let waiter = null;
+    const check = () => {
+        if (!waiter) return;
+        if (failure) {
+            waiter.reject(failure);
+            waiter = null;
+            return;
+        }
+        const lines = buffer.split('\r\n').slice(0, -1);
+        const end = lines.findIndex(line => /^\d{3}( |$)/.test(line));
+        if (end === -1) return;
+        buffer = buffer.split('\r\n').slice(end + 1).join('\r\n');
+        const reply = { code: parseInt(lines[end].slice(0, 3)), lines: lines.slice(0, end + 1).map(line => line.slice(4)) };
+        waiter.resolve(reply);
+        waiter = null;
+    };
+    const onData = chunk => { buffer += chunk.toString('utf8'); check(); };
+    const onError = error => { failure = error; check(); };
+    const onClose = () => onError(failure || new Error('SMTP: conexão encerrada'));
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+    socket.setTimeout(NOTIFY.timeoutMs, () => socket.destroy(new Error('SMTP: tempo esgotado')));
+    return {
+        next: () => new Promise((resolve, reject) => { waiter = { resolve, reject }; check(); }),
+        detach: () => {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+            socket.setTimeout(0);
+        }
+    };
+}
+
+function smtpMessage({ from, to, subject, text }) {
+    const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    return [
+        `From: Lotofácil Tracker <${from}>`,
+        `To: <${to}>`,
+        `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        body,
+        '.'
+    ].join('\r\n');
+}
+
+// Cliente SMTP mínimo: EHLO, STARTTLS quando oferecido, AUTH LOGIN e uma mensagem por conexão
+async function smtpSend({ to, subject, text }) {
+    const { host, port, secure, user, pass, from } = NOTIFY.smtp;
+    if (!host) throw new Error('SMTP_HOST não configurado');
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    let reader = smtpReader(socket);
+    const command = async (line, expected) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) throw new Error(`SMTP ${reply.code}: ${reply.lines.join(' ')}`);
+        return reply;
+    };
+    try {
+        await command(null, [220]);
+        const ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+        if (!secure && ehlo.lines.some(line => /^STARTTLS/i.test(line))) {
+            await command('STARTTLS', [220]);
+            reader.detach();
+            socket = tls.connect({ socket, servername: host });
+            reader = smtpReader(socket);
+            await command(`EHLO ${os.hostname()}`, [250]);
+        }
+        if (user) {
+            await command('AUTH LOGIN', [334]);
+            await command(Buffer.from(user).toString('base64'), [334]);
+            await command(Buffer.from(pass).toString('base64'), [235]);
+        }
+        await command(`MAIL FROM:<${from}>`, [250]);
+        await command(`RCPT TO:<${to}>`, [250, 251]);
+        await command('DATA', [354]);
+        await command(smtpMessage({ from, to, subject, text }), [250]);
+        await command('QUIT', [221]).catch(() => {});
+    } finally {
+        socket.destroy();
+    }
+}
+
+// Canais de entrega: cada um valida o destino da assinatura e envia a notificação.
+// `role`: papel mínimo para assinar; o webhook faz o servidor chamar qualquer URL, então viewer não usa
+const NOTIFICATION_CHANNELS = {
+    webhook: {
+        label: 'Webhook (JSON)',
+        role: 'operator',
+        validate: target => /^https?:\/\/\S+$/.test(target) ? null : 'Informe a URL do webhook (http ou https)',
+        send: async (target, notification) => {
+            const response = await fetch(target, {
+                method: 'POST',
+                timeout: NOTIFY.timeoutMs,
+                headers: { 'Content-Type': 'application/json', 'User-Agent': 'lotofacil-tracker' },
+                body: JSON.stringify(notification)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        }
+    },
+    email: {
+        label: 'E-mail (SMTP)',
+        validate: target => /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(target) ? null : 'Informe um e-mail válido',
+        send: (target, notification) => smtpSend({
+            to: target,
+            subject: `Lotofácil Tracker: ${notification.title}`,
+            text: notification.text
+        })
+    }
+};
+
+function channelPermissionError(user, channel) {
+    const role = NOTIFICATION_CHANNELS[channel].role || 'viewer';
+    if (AUTH.disabled || (user && ROLES[user.role] >= ROLES[role])) return null;
+    return `Permissão insuficiente: o canal ${channel} requer papel ${role}`;
+}
+
+function validateSubscription({ channel, target, events }, { partial = false } = {}) {
+    if (!partial || channel !== undefined) {
+        if (!NOTIFICATION_CHANNELS[channel]) return `channel deve ser ${Object.keys(NOTIFICATION_CHANNELS).join(' ou ')}`;
+    }
+    if (!partial || target !== undefined) {
+        if (typeof target !== 'string') return 'Informe o destino (target)';
+    }
+    if (!partial || events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) return 'Escolha ao menos um evento';
+        const unknown = events.find(event => !NOTIFICATION_EVENTS[event]);
+        if (unknown) return `Evento desconhecido: ${unknown}`;
+    }
+    return null;
+}
+
+async function deliverNotification(subscription, notification) {
+    let error = null;
+    try {
+        await NOTIFICATION_CHANNELS[subscription.channel].send(subscription.target, notification);
+    } catch (sendError) {
+        error = sendError.message;
+        console.error(`❌ Notificação ${notification.event} (${subscription.channel} ${subscription.target}):`, error);
+    }
+    await pool.query(
+        `INSERT INTO notification_log (subscription_id, event, channel, status, error, payload)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [subscription.id, notification.event, subscription.channel, error ? 'failed' : 'sent', error, JSON.stringify(notification)]
+    );
+    return { subscriptionId: subscription.id, status: error ? 'failed' : 'sent', error };
+}
+
+// Envia para as assinaturas do evento; nunca lança, para não atrapalhar geração e conferência
+async function notify(event, { title, text, data = {} }) {
+    try {
+        const subscriptions = await pool.query(
+            `SELECT s.* FROM notification_subscriptions s
+             LEFT JOIN users u ON u.id = s.user_id
+             WHERE s.active AND $1 = ANY(s.events) AND (s.user_id IS NULL OR u.active)
+               AND (s.user_id IS NULL OR u.role <> 'viewer' OR NOT (s.channel = ANY($2)))`,
+            [event, Object.keys(NOTIFICATION_CHANNELS).filter(channel => NOTIFICATION_CHANNELS[channel].role)]
+        );
+        const notification = { event, title, text, data, sentAt: new Date().toISOString() };
+        return await Promise.all(subscriptions.rows.map(subscription => deliverNotification(subscription, notification)));
+    } catch (error) {
+        console.error('❌ Notificações:', error.message);
+        return [];
+    }
+}
+
+function notifyBudgetLimit(budget, origin) {
+    return notify('budget_limit', {
+        title: NOTIFICATION_EVENTS.budget_limit,
+        text: `${origin}: ${budget.reason}. Liberadas ${budget.allowed} de ${budget.requested} apostas.`,
+        data: { origin, ...budget }
+    });
+}
+
+// As apostas de uma mesma geração são sempre de um só jogo
+function notifyBetsGenerated(bets, origin) {
+    const game = GAMES[bets[0].game];
+    const cost = bets.reduce((sum, bet) => sum + parseFloat(bet.cost), 0);
+    const lines = bets.map(bet => `#${bet.id} ${bet.strategy}: ${bet.numbers.join(', ')}`);
+    return notify('bets_generated', {
+        title: `${bets.length} apostas geradas (${game.label})`,
+        text: `${origin}: ${bets.length} apostas para o sorteio da ${game.label} de ${toDateString(bets[0].draw_date)} (R$ ${cost.toFixed(2)}).\n\n${lines.join('\n')}`,
+        data: { origin, game: game.id, count: bets.length, cost: roundCents(cost), bets: bets.map(bet => ({ id: bet.id, strategy: bet.strategy, numbers: bet.numbers })) }
+    });
+}
+
+function notifyContestChecked(game, resultData, { checked, totalPrize, totalCost, balance, winners }) {
+    const contest = resultData.contestNumber;
+    notify('contest_checked', {
+        title: `${game.label} ${contest} conferido`,
+        text: `${game.label}, concurso ${contest} (${resultData.date}): ${resultData.numbers.join(', ')}\n` +
+            `${checked} apostas conferidas, prêmios R$ ${totalPrize.toFixed(2)}, custo R$ ${totalCost.toFixed(2)}, saldo R$ ${balance.toFixed(2)}.`,
+        data: { game: game.id, contestNumber: contest, date: resultData.date, numbers: resultData.numbers, checked, totalPrize, totalCost, balance }
+    });
+    if (winners.length === 0) return;
+    const best = Math.max(...winners.map(winner => winner.matches));
+    notify('bet_won', {
+        title: `${winners.length} aposta(s) premiada(s) no concurso ${contest} da ${game.label} (até ${best} acertos)`,
+        text: winners.map(winner => `#${winner.id} ${winner.strategy}: ${winner.matches} acertos → R$ ${winner.prize.toFixed(2)}`).join('\n'),
+        data: { game: game.id, contestNumber: contest, winners }
+    });
+}
+
+// Dia de sorteio do jogo ainda sem resultado às 22:00
+async function checkMissingResult(game) {
+    const today = getTodayBrazil();
+    if (!isDrawDay(game, today)) return;
+    const found = await pool.query('SELECT contest_number FROM results WHERE game = $1 AND date = $2', [game.id, today]);
+    if (found.rows.length > 0) return;
+    const pending = await pool.query(
+        'SELECT COUNT(*) AS total FROM bets WHERE game = $1 AND result_numbers IS NULL AND draw_date = $2',
+        [game.id, today]
+    );
+    const pendingBets = parseInt(pending.rows[0].total);
+    console.log(`⚠️ Sem resultado da ${game.label} de ${today} às 22:00 (${pendingBets} apostas pendentes)`);
+    await notify('result_missing', {
+        title: `${NOTIFICATION_EVENTS.result_missing} (${game.label})`,
+        text: `O resultado da ${game.label} de ${today} ainda não chegou. ${pendingBets} apostas aguardam conferência; a busca continua de hora em hora ou insira o resultado manualmente.`,
+        data: { game: game.id, date: today, pendingBets }
+    });
+}
+
+// ==================== RESULT CHECKING ====================
+
+// Aposta maior que a simples vale por todas as apostas simples que ela contém (na Lotofácil, combinações de 15):
+// com k acertos, há C(k, f) * C(N - k, picks - f) combinações premiadas na faixa f
+function scoreBet(game, numbers, drawnNumbers, prizes) {
+    const matches = numbers.filter(num => drawnNumbers.includes(num)).length;
+    const prizeCounts = {};
+    let prize = 0;
+    for (const hits of game.tiers) {
+        const count = Math.round(combinations(matches, hits) * combinations(numbers.length - matches, game.picks - hits));
+        if (count === 0) continue;
+        prizeCounts[hits] = count;
+        prize += count * (parseFloat(prizes[hits]) || 0);
+    }
+    return { matches, prize: Math.round(prize * 100) / 100, prizeCounts };
+}
+
+// Tabela de prêmios (0 a `picks` acertos) a partir de uma linha de results
+function prizeTableFromResult(game, row) {
+    const prizes = {};
+    for (let hits = 0; hits <= game.picks; hits++) prizes[hits] = 0;
+    for (const hits of game.tiers) prizes[hits] = parseFloat(row[`prize_${hits}`]) || 0;
+    return prizes;
+}
+
+// Colunas de premiação do jogo em results (prize_N e winners_N de cada faixa) e os valores na mesma ordem
+function tierColumns(game) {
+    return [...game.tiers.map(hits => `prize_${hits}`), ...game.tiers.map(hits => `winners_${hits}`)];
+}
+
+function tierValues(game, prizeData) {
+    return [...game.tiers.map(hits => prizeData.prizes[hits]), ...game.tiers.map(hits => prizeData.winners[hits])];
+}
+
+// Confere as apostas pendentes do concurso e grava o resultado, dentro da transação de quem chama.
+// Com `betIds` (correção de resultado) confere só essas apostas, mesmo que a data do sorteio tenha mudado
+async function scoreContest(game, resultData, db, betIds = null) {
+    // Só as apostas deste jogo e sorteio. Vale a data do sorteio: o concurso alvo é deduzido do calendário
+    // e se adianta quando um feriado fica sem sorteio. Apostas sem data usam o concurso
+    const pending = await db.query(
+        `SELECT * FROM bets 
+         WHERE game = $1 AND result_numbers IS NULL 
+           AND ${betIds ? 'id = ANY($2)' : '(draw_date = $3 OR (draw_date IS NULL AND target_contest = $2))'}
+         ORDER BY date ASC, id ASC
+         FOR UPDATE`,
+        betIds ? [game.id, betIds] : [game.id, resultData.contestNumber, resultData.date]
+    );
+    
+    // Mesmo sem apostas o resultado é salvo, para o histórico e para saber o último concurso
+    console.log(`📋 ${pending.rows.length} apostas pendentes`);
+    console.log('');
+    console.log('Conferindo...');
+    console.log('─────────────────────────────────────────');
+    
+    let totalPrize = 0;
+    let totalCost = 0;
+    let checkedCount = 0;
+    const winners = [];
+    
+    for (const bet of pending.rows) {
+        const { matches, prize, prizeCounts } = scoreBet(game, bet.numbers, resultData.numbers, resultData.prizes);
+        totalPrize += prize;
+        totalCost += parseFloat(bet.cost) || betPrice(game, bet.numbers.length);
+        
+        await db.query(
+            `UPDATE bets 
+             SET result_numbers = $1, matches = $2, prize = $3, contest_number = $4, prize_counts = $5 
+             WHERE id = $6`,
+            [resultData.numbers, matches, prize, resultData.contestNumber, JSON.stringify(prizeCounts), bet.id]
+        );
+        
+        checkedCount++;
+        if (matches >= game.tiers[0]) winners.push({ id: bet.id, strategy: bet.strategy, size: bet.numbers.length, matches, prize });
+        const typeEmoji = { auto: '🤖', [PICKED_TYPE]: '✍️' }[bet.type] || '🎲';
+        const prizeEmoji = prize > 0 ? '💰' : '  ';
+        const size = bet.numbers.length > game.picks ? ` (${bet.numbers.length} números)` : '';
+        console.log(`${prizeEmoji} #${bet.id} ${typeEmoji} ${bet.strategy.padEnd(15)} → ${matches} acertos${size} → R$ ${prize.toFixed(2)}`);
+    }
+    
+    const balance = totalPrize - totalCost;
+    
+    console.log('🆕 Salvando resultado...');
+    const columns = [
+        'game', 'contest_number', 'numbers', 'date', ...tierColumns(game),
+        'accumulated', 'prizes_estimated', 'source', 'total_prize', 'total_cost', 'balance', 'bets_checked'
+    ];
+    await db.query(
+        `INSERT INTO results (${columns.join(', ')}) VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})`,
+        [
+            game.id,
+            resultData.contestNumber,
+            resultData.numbers,
+            resultData.date,
+            ...tierValues(game, resultData),
+            resultData.accumulated,
+            resultData.prizesEstimated,
+            resultData.source,
+            totalPrize,
+            totalCost,
+            balance,
+            checkedCount
+        ]
+    );
+    
+    const pools = await settlePools(game, resultData.contestNumber, db);
+    await recordContestPrizes(game, resultData.contestNumber, db);
+    return { checked: checkedCount, totalPrize, totalCost, balance, pools, winners };
+}
+
+// Confere e grava o concurso numa única transação: se algo falhar, nenhuma aposta fica marcada.
+// A trava por concurso faz chamadas simultâneas (cron + pedido manual) esperarem; a segunda vê "Já conferido".
+async function checkBetsWithResult(game, resultData) {
+    console.log('');
+    console.log('═══════════════════════════════════════');
+    console.log(`🎯 CONFERINDO APOSTAS — ${game.label.toUpperCase()}`);
+    console.log('═══════════════════════════════════════');
+    console.log(`📊 Concurso: ${resultData.contestNumber}`);
+    console.log(`📅 Data: ${resultData.date}`);
+    console.log(`🎲 Números: [${resultData.numbers.join(', ')}]`);
+    console.log(`📡 Fonte: ${resultData.source}`);
+    console.log('');
+    
+    try {
+        const check = await withTransaction(async db => {
+            await db.query('SELECT pg_advisory_xact_lock($1, $2)', [LOCKS.contest, resultData.contestNumber]);
+            const existing = await db.query(
+                'SELECT id FROM results WHERE game = $1 AND contest_number = $2',
+                [game.id, resultData.contestNumber]
+            );
+            if (existing.rows.length > 0) return null;
+            
+            return scoreContest(game, resultData, db);
+        });
+        
+        if (!check) {
+            console.log(`ℹ️ Concurso ${resultData.contestNumber} já conferido`);
+            console.log('═══════════════════════════════════════');
+            return { success: true, checked: 0, totalPrize: 0, alreadyChecked: true, message: 'Já conferido' };
+        }
+        
+        console.log('✅ Resultado salvo!');
+        console.log('─────────────────────────────────────────');
+        console.log('');
+        console.log(`✅ ${check.checked} APOSTAS CONFERIDAS!`);
+        console.log(`💰 Prêmios: R$ ${check.totalPrize.toFixed(2)}`);
+        console.log(`💵 Investimento: R$ ${check.totalCost.toFixed(2)}`);
+        console.log(`📊 Saldo do Dia: R$ ${check.balance.toFixed(2)} ${check.balance >= 0 ? '✅' : '❌'}`);
+        console.log('═══════════════════════════════════════');
+        console.log('');
+        
+        notifyContestChecked(game, resultData, check);
+        
+        return { success: true, checked: check.checked, totalPrize: check.totalPrize, balance: check.balance, pools: check.pools };
+    } catch (error) {
+        console.error('❌ ERRO:', error);
+        console.log('═══════════════════════════════════════');
+        return { success: false, error: error.message };
+    }
+}
+
+// Com `numbers` e `date` (importação com --update) o sorteio gravado é trocado na mesma transação
+async function updateResultPrizes(game, contestNumber, prizeData, { numbers = null, date = null } = {}) {
+    return withTransaction(async db => {
+        await db.query('SELECT pg_advisory_xact_lock($1, $2)', [LOCKS.contest, contestNumber]);
+        if (numbers) {
+            await db.query(
+                'UPDATE results SET numbers = $1, date = $2 WHERE game = $3 AND contest_number = $4',
+                [numbers, date, game.id, contestNumber]
+            );
+        }
+        const bets = await db.query(
+            'SELECT id, numbers, result_numbers FROM bets WHERE game = $1 AND contest_number = $2 FOR UPDATE',
+            [game.id, contestNumber]
+        );
+        
+        let totalPrize = 0;
+        for (const bet of bets.rows) {
+            const { prize, prizeCounts } = scoreBet(game, bet.numbers, bet.result_numbers, prizeData.prizes);
+            totalPrize += prize;
+            await db.query('UPDATE bets SET prize = $1, prize_counts = $2 WHERE id = $3', [prize, JSON.stringify(prizeCounts), bet.id]);
+        }
+        
+        const columns = tierColumns(game);
+        const next = columns.length + 1;
+        const updated = await db.query(
+            `UPDATE results SET
+                ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')},
+                accumulated = $${next}, prizes_estimated = $${next + 1},
+                total_prize = $${next + 2}, balance = $${next + 2} - total_cost
+             WHERE game = $${next + 3} AND contest_number = $${next + 4}
+             RETURNING total_prize, total_cost, balance`,
+            [
+                ...tierValues(game, prizeData),
+                prizeData.accumulated,
+                prizeData.prizesEstimated,
+                totalPrize,
+                game.id,
+                contestNumber
+            ]
+        );
+        
+        const row = updated.rows[0];
+        const pools = await settlePools(game, contestNumber, db);
+        await recordContestPrizes(game, contestNumber, db);
+        return {
+            pools,
+            betsUpdated: bets.rows.length,
+            totalPrize: parseFloat(row.total_prize),
+            totalCost: parseFloat(row.total_cost),
+            balance: parseFloat(row.balance)
+        };
+    });
+}
+
+// Desfaz a conferência do concurso: as apostas voltam a pendentes e saem os prêmios de bolões e da banca
+async function unscoreContest(game, contestNumber, db) {
+    const reset = await db.query(
+        `UPDATE bets SET result_numbers = NULL, matches = NULL, prize = 0, contest_number = NULL, prize_counts = NULL
+         WHERE game = $1 AND contest_number = $2 RETURNING id`,
+        [game.id, contestNumber]
+    );
+    await db.query(`DELETE FROM pool_ledger WHERE game = $1 AND contest_number = $2 AND kind IN ('prize', 'fee')`, [game.id, contestNumber]);
+    await db.query(`DELETE FROM bankroll_ledger WHERE kind = 'prize' AND game = $1 AND contest_number = $2`, [game.id, contestNumber]);
+    return reset.rows.map(row => row.id);
+}
+
+// Troca o resultado gravado (números, data ou premiação) e confere de novo as apostas do concurso
+async function correctResult(game, contestNumber, resultData) {
+    return withTransaction(async db => {
+        await db.query('SELECT pg_advisory_xact_lock($1, $2)', [LOCKS.contest, contestNumber]);
+        const deleted = await db.query('DELETE FROM results WHERE game = $1 AND contest_number = $2 RETURNING *', [game.id, contestNumber]);
+        if (deleted.rows.length === 0) return null;
+        const unscored = await unscoreContest(game, contestNumber, db);
+        const check = await scoreContest(game, resultData, db, unscored);
+        return { before: deleted.rows[0], unscored: unscored.length, ...check };
+    });
+}
+
+// Apaga o resultado; as apostas ficam pendentes até o concurso ser inserido ou buscado de novo
+async function deleteResult(game, contestNumber) {
+    return withTransaction(async db => {
+        await db.query('SELECT pg_advisory_xact_lock($1, $2)', [LOCKS.contest, contestNumber]);
+        const deleted = await db.query('DELETE FROM results WHERE game = $1 AND contest_number = $2 RETURNING *', [game.id, contestNumber]);
+        if (deleted.rows.length === 0) return null;
+        const unscored = await unscoreContest(game, contestNumber, db);
+        return { before: deleted.rows[0], unscored: unscored.length };
+    });
+}
+
+// Premiação gravada com as faixas do corpo por cima; valores antigos só contam como informados se não eram estimados
+function mergePrizeData(game, result, body) {
+    const merged = { prizes: {}, winners: {} };
+    for (const hits of game.tiers) {
+        merged.prizes[hits] = body.prizes?.[hits] ?? result[`prize_${hits}`];
+        merged.winners[hits] = body.winners?.[hits] ?? result[`winners_${hits}`];
+    }
+    const prizeData = buildPrizeData(game, { ...merged, accumulated: body.accumulated ?? result.accumulated });
+    const corrected = buildPrizeData(game, { prizes: body.prizes, accumulated: body.accumulated ?? result.accumulated });
+    prizeData.prizesEstimated = result.prizes_estimated && corrected.prizesEstimated;
+    return prizeData;
+}
+
+function resultSnapshot(row) {
+    return {
+        numbers: row.numbers,
+        date: toDateString(row.date),
+        totalPrize: parseFloat(row.total_prize),
+        betsChecked: row.bets_checked
+    };
+}
+
+// ==================== RESULT FETCHING ====================
+
+const RESULT_FETCH = {
+    providers: (process.env.RESULT_PROVIDERS || 'caixa,loteriascaixa')
+        .split(',').map(name => name.trim()).filter(Boolean),
+    retries: envInt('RESULT_FETCH_RETRIES', 3),
+    backoffMs: envInt('RESULT_FETCH_BACKOFF_MS', 2000),
+    timeoutMs: envInt('RESULT_FETCH_TIMEOUT_MS', 10000),
+    file: process.env.RESULTS_FILE || path.join(__dirname, 'data', 'resultados.json'),
+    maxContestsPerCheck: envInt('MAX_CONTESTS_PER_CHECK', 20)
+};
+
+// `count` números distintos do volante do jogo
+function validateNumbers(game, numbers, count) {
+    if (!Array.isArray(numbers) || numbers.length !== count) return `Precisa de exatamente ${count} números`;
+    if (numbers.some(n => !Number.isInteger(n) || n < 1 || n > game.range)) return `Números devem estar entre 1 e ${game.range}`;
+    if (new Set(numbers).size !== count) return `Os ${count} números devem ser únicos`;
+    return null;
+}
+
+function validateDrawNumbers(game, numbers) {
+    return validateNumbers(game, numbers, game.drawn);
+}
+
+// AAAA-MM-DD que existe no calendário (rejeita 2024-02-31)
+function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function parseBrazilianDate(value) {
+    const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value);
+    if (match) return `${match[3]}-${match[2]}-${match[1]}`;
+    return String(value).split('T')[0];
+}
+
+// Caixa usa "listaRateioPremio" e a API comunitária usa "premiacoes"; a faixa 1 é a de mais acertos
+function parsePrizeTiers(game, tiers) {
+    const prizes = {}, winners = {};
+    (tiers || []).forEach(tier => {
+        const label = tier.descricaoFaixa || tier.descricao || '';
+        const fromLabel = parseInt((label.match(/(\d+)\s*acertos/i) || [])[1]);
+        const hits = fromLabel || (tier.faixa ? game.picks + 1 - parseInt(tier.faixa) : null);
+        if (!game.tiers.includes(hits)) return;
+        prizes[hits] = parseFloat(tier.valorPremio) || 0;
+        winners[hits] = tier.numeroDeGanhadores ?? tier.ganhadores;
+    });
+    return { prizes, winners };
+}
+
+// Inteiro ou texto só com dígitos ("05"); qualquer outra coisa ("12abc", 1.5) vira NaN
+function parseWholeNumber(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+    return typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? parseInt(value) : NaN;
+}
+
+// Converte qualquer payload de fornecedor no formato esperado por checkBetsWithResult
+function normalizeResultPayload(game, payload, source) {
+    const contestNumber = parseWholeNumber(payload.contestNumber ?? payload.numero ?? payload.concurso);
+    const rawNumbers = payload.numbers || payload.listaDezenas || payload.dezenas || [];
+    const numbers = (Array.isArray(rawNumbers) ? rawNumbers : []).map(parseWholeNumber).sort((a, b) => a - b);
+    const tiers = payload.prizes
+        ? { prizes: payload.prizes, winners: payload.winners || {} }
+        : parsePrizeTiers(game, payload.listaRateioPremio || payload.premiacoes);
+
+    if (!Number.isInteger(contestNumber) || contestNumber <= 0) {
+        throw new Error(`${source}: número do concurso inválido`);
+    }
+    const invalid = validateDrawNumbers(game, numbers);
+    if (invalid) throw new Error(`${source}: concurso ${contestNumber} - ${invalid}`);
+    // Sem data o concurso não tem como ser ligado às apostas do dia do sorteio
+    const rawDate = payload.date || payload.dataApuracao || payload.data;
+    if (!rawDate) throw new Error(`${source}: concurso ${contestNumber} - data do sorteio ausente`);
+    const date = parseBrazilianDate(rawDate);
+    if (!isCalendarDate(date)) throw new Error(`${source}: concurso ${contestNumber} - data do sorteio inválida: ${rawDate}`);
+
+    return {
+        contestNumber,
+        numbers,
+        date,
+        ...buildPrizeData(game, {
+            prizes: tiers.prizes,
+            winners: tiers.winners,
+            accumulated: payload.accumulated ?? payload.acumulado ?? payload.acumulou
+        }),
+        source
+    };
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url, {
+        timeout: RESULT_FETCH.timeoutMs,
+        headers: { 'Accept': 'application/json', 'User-Agent': 'lotofacil-tracker' }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+// Cada fornecedor devolve o payload bruto do concurso pedido (ou do último, se null)
+const RESULT_PROVIDERS = {
+    caixa: {
+        fetch: (game, contest) => fetchJson(`https://servicebus2.caixa.gov.br/portaldeloterias/api/${game.api}/${contest || ''}`)
+    },
+    loteriascaixa: {
+        fetch: (game, contest) => fetchJson(`https://loteriascaixa-api.herokuapp.com/api/${game.api}/${contest || 'latest'}`)
+    },
+    // Entradas sem "game" são da Lotofácil
+    file: {
+        fetch: async (game, contest) => {
+            const content = JSON.parse(await fs.promises.readFile(RESULT_FETCH.file, 'utf8'));
+            const entries = (Array.isArray(content) ? content : (content.results || [content]))
+                .filter(entry => (entry.game || DEFAULT_GAME) === game.id);
+            const numberOf = entry => parseInt(entry.contestNumber ?? entry.numero ?? entry.concurso);
+            if (contest) return entries.find(entry => numberOf(entry) === contest) || null;
+            return entries.reduce((latest, entry) =>
+                !latest || numberOf(entry) > numberOf(latest) ? entry : latest, null);
+        }
+    }
+};
+
+async function withRetry(label, task) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (error) {
+            if (attempt >= RESULT_FETCH.retries) throw error;
+            const delay = RESULT_FETCH.backoffMs * 2 ** attempt;
+            console.log(`⚠️ ${label}: ${error.message} (nova tentativa em ${delay}ms)`);
+            await sleep(delay);
+        }
+    }
+}
+
+// Tenta os fornecedores na ordem configurada; retorna null se nenhum tiver o concurso
+async function fetchResult(game, contestNumber = null) {
+    for (const name of RESULT_FETCH.providers) {
+        const provider = RESULT_PROVIDERS[name];
+        if (!provider) {
+            console.error(`❌ Fornecedor desconhecido: ${name}`);
+            continue;
+        }
+        try {
+            const payload = await withRetry(`${name} (${game.label})`, () => provider.fetch(game, contestNumber));
+            if (!payload) continue;
+            return normalizeResultPayload(game, payload, name);
+        } catch (error) {
+            console.error(`❌ ${name}:`, error.message);
+        }
+    }
+    return null;
+}
+
+// Jogos com busca em andamento
+const resultFetchRunning = new Set();
+
+// Confere, em ordem, todos os concursos do jogo publicados depois do último salvo em results
+async function checkNewContests(game) {
+    if (resultFetchRunning.has(game.id)) {
+        return { success: false, busy: true, contests: [], message: 'Busca já em andamento' };
+    }
+    resultFetchRunning.add(game.id);
+    try {
+        const last = await pool.query('SELECT MAX(contest_number) AS last_contest FROM results WHERE game = $1', [game.id]);
+        const lastContest = last.rows[0].last_contest;
+        const contests = [];
+
+        // Sem histórico, começa pelo último concurso publicado
+        let next = lastContest ? lastContest + 1 : null;
+        while (contests.length < RESULT_FETCH.maxContestsPerCheck) {
+            const resultData = await fetchResult(game, next);
+            if (!resultData || (lastContest && resultData.contestNumber <= lastContest)) break;
+
+            const check = await checkBetsWithResult(game, resultData);
+            if (!check.success) throw new Error(check.error);
+            contests.push({
+                contestNumber: resultData.contestNumber,
+                date: resultData.date,
+                source: resultData.source,
+                checked: check.checked,
+                totalPrize: check.totalPrize || 0,
+                balance: check.balance || 0
+            });
+
+            if (next === null) break;
+            next = resultData.contestNumber + 1;
+        }
+
+        if (contests.length === 0) {
+            console.log(`ℹ️ ${game.label}: nenhum concurso novo disponível (último: ${lastContest ? '#' + lastContest : 'nenhum'})`);
+        }
+        return { success: true, game: game.id, lastContest, contests };
+    } finally {
+        resultFetchRunning.delete(game.id);
+    }
+}
+
+// ==================== IMPORT ====================
+
+// Importação de histórico: só grava em results, nunca confere apostas
+
+function normalizeHeader(header) {
+    return header.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// "R$ 1.234,56" ou "1234.56"
+function parseBrazilianNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const text = String(value).replace(/R\$/g, '').replace(/\s/g, '');
+    const parsed = parseFloat(text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text);
+    return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+// CSV com aspas (inclusive quebras de linha dentro das aspas); separador detectado pelo cabeçalho
+function parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const header = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+        header.split(candidate).length > header.split(best).length ? candidate : best, ';');
+
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    if (row.some(value => value !== '')) rows.push(row);
+    return rows;
+}
+
+// Aceita o layout da planilha oficial (Concurso, Data Sorteio, Bola1..BolaN, Ganhadores/Rateio N acertos)
+// e variações simples (contest, date, numbers com todos os números numa coluna só)
+function csvRowsToEntries(rows) {
+    const [header, ...data] = rows;
+    const columns = header.map(normalizeHeader);
+
+    return data.map(cells => {
+        const entry = { numbers: [], prizes: {}, winners: {} };
+        columns.forEach((column, index) => {
+            const value = cells[index];
+            if (value === undefined || value === '') return;
+            let match;
+            if (['concurso', 'contest', 'contest number', 'contestnumber'].includes(column)) {
+                entry.contestNumber = value;
+            } else if (/^(data|date)/.test(column)) {
+                entry.date = value;
+            } else if ((match = /^(bola|dezena|n)\s*(\d+)$/.exec(column))) {
+                entry.numbers[parseInt(match[2]) - 1] = value;
+            } else if (['numbers', 'dezenas', 'numeros'].includes(column)) {
+                entry.numbers = value.split(/[^0-9]+/).filter(Boolean);
+            } else if ((match = /^ganhadores (\d+) acertos$/.exec(column))) {
+                entry.winners[match[1]] = parseBrazilianNumber(value);
+            } else if ((match = /^(rateio|premio|valor premio) (\d+) acertos$/.exec(column))) {
+                entry.prizes[match[2]] = parseBrazilianNumber(value);
+            }
+        });
+        entry.numbers = entry.numbers.filter(n => n !== undefined);
+        return entry;
+    });
+}
+
+function parseResultsFile(content, format) {
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    const isJson = format ? format === 'json' : /^\s*[[{]/.test(text);
+    if (isJson) {
+        const parsed = typeof content === 'string' ? JSON.parse(content) : content;
+        return Array.isArray(parsed) ? parsed : (parsed.results || [parsed]);
+    }
+    return csvRowsToEntries(parseCsv(text));
+}
+
+// mode 'skip' mantém os concursos que já existem; 'update' atualiza data, números e premiação
+async function importResults(game, entries, { mode = 'skip' } = {}) {
+    const summary = { total: entries.length, inserted: 0, updated: 0, skipped: 0, errors: [] };
+    const imported = [];
+
+    for (const [index, entry] of entries.entries()) {
+        let resultData;
+        try {
+            resultData = normalizeResultPayload(game, entry, 'import');
+        } catch (error) {
+            summary.errors.push({ line: index + 1, error: error.message.replace(/^import: /, '') });
+            continue;
+        }
+
+        // Uma linha que o banco recusa vira erro da linha, sem interromper as seguintes
+        try {
+            const existing = await pool.query(
+                'SELECT numbers, bets_checked FROM results WHERE game = $1 AND contest_number = $2',
+                [game.id, resultData.contestNumber]
+            );
+
+            if (existing.rows.length === 0) {
+                const columns = ['game', 'contest_number', 'numbers', 'date', ...tierColumns(game), 'accumulated', 'prizes_estimated', 'source'];
+                await pool.query(
+                    `INSERT INTO results (${columns.join(', ')}) VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})`,
+                    [
+                        game.id, resultData.contestNumber, resultData.numbers, resultData.date,
+                        ...tierValues(game, resultData),
+                        resultData.accumulated, resultData.prizesEstimated, resultData.source
+                    ]
+                );
+                summary.inserted++;
+                imported.push({ contestNumber: resultData.contestNumber, date: resultData.date });
+                continue;
+            }
+
+            if (mode !== 'update') {
+                summary.skipped++;
+                continue;
+            }
+
+            const current = existing.rows[0];
+            const sameNumbers = current.numbers.join(',') === resultData.numbers.join(',');
+            if (current.bets_checked > 0 && !sameNumbers) {
+                summary.errors.push({
+                    line: index + 1,
+                    contest: resultData.contestNumber,
+                    error: 'números diferentes de um concurso já conferido; corrija o resultado pela API de resultados'
+                });
+                continue;
+            }
+
+            await updateResultPrizes(game, resultData.contestNumber, resultData, { numbers: resultData.numbers, date: resultData.date });
+            summary.updated++;
+            imported.push({ contestNumber: resultData.contestNumber, date: resultData.date });
+        } catch (error) {
+            summary.errors.push({ line: index + 1, contest: resultData.contestNumber, error: error.message });
+        }
+    }
+
+    // Apostas pendentes de concursos importados não são conferidas aqui
+    if (imported.length > 0) {
+        const stranded = await pool.query(
+            `SELECT COUNT(*) FROM bets WHERE game = $1 AND result_numbers IS NULL
+               AND (draw_date = ANY($2::date[]) OR (draw_date IS NULL AND target_contest = ANY($3)))`,
+            [game.id, imported.map(contest => contest.date), imported.map(contest => contest.contestNumber)]
+        );
+        summary.pendingBetsForImported = parseInt(stranded.rows[0].count);
+    }
+
+    return summary;
+}
+
+// ==================== STATISTICS ====================
+
+function combinations(n, k) {
+    if (k < 0 || k > n) return 0;
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = result * (n - k + i) / i;
+    return result;
+}
+
+// Probabilidade exata (hipergeométrica) de k acertos numa aposta simples do jogo
+function hitProbabilities(game) {
+    const all = combinations(game.range, game.picks);
+    const probabilities = {};
+    for (let k = 0; k <= game.picks; k++) {
+        probabilities[k] = combinations(game.drawn, k) * combinations(game.range - game.drawn, game.picks - k) / all;
+    }
+    return probabilities;
+}
+
+// Abramowitz-Stegun 7.1.26
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+        Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function twoSidedPValue(z) {
+    return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+function logGamma(x) {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x, tmp = x + 5.5;
+    tmp -= (x + 0.5) * Math.log(tmp);
+    let series = 1.000000000190015;
+    for (const coefficient of c) series += coefficient / ++y;
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Função gama incompleta regularizada P(a, x) (série para x pequeno, fração contínua para x grande)
+function regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+    if (x < a + 1) {
+        let term = 1 / a, sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+        }
+        return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+    }
+    let b = x + 1 - a, c = 1e300, d = 1 / b, h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < 1e-300) d = 1e-300;
+        c = b + an / c;
+        if (Math.abs(c) < 1e-300) c = 1e-300;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return 1 - Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+// Valor crítico t de Student bicaudal a 95% (expansão de Cornish-Fisher)
+function tCritical95(df) {
+    const z = 1.959964;
+    if (df <= 0) return Infinity;
+    return z + (z ** 3 + z) / (4 * df) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * df ** 2);
+}
+
+function meanConfidenceInterval(values) {
+    const n = values.length;
+    if (n === 0) return { value: 0, ciLow: null, ciHigh: null };
+    const mean = values.reduce((sum, v) => sum + v, 0) / n;
+    if (n < 2) return { value: mean, ciLow: null, ciHigh: null };
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1);
+    const margin = tCritical95(n - 1) * Math.sqrt(variance / n);
+    return { value: mean, ciLow: mean - margin, ciHigh: mean + margin };
+}
+
+// Qui-quadrado observado x esperado; faixas com esperado < 5 são agrupadas com a vizinha
+function chiSquareGoodnessOfFit(observed, probabilities, n) {
+    let bins = Object.keys(probabilities)
+        .map(Number)
+        .filter(k => probabilities[k] > 0)
+        .sort((a, b) => a - b)
+        .map(k => ({ from: k, to: k, observed: observed[k] || 0, expected: probabilities[k] * n }));
+
+    const merge = (list) => {
+        while (list.length > 1 && list[0].expected < 5) {
+            const [first, second] = list.splice(0, 2);
+            list.unshift({
+                from: Math.min(first.from, second.from), to: Math.max(first.to, second.to),
+                observed: first.observed + second.observed, expected: first.expected + second.expected
+            });
+        }
+        return list;
+    };
+    bins = merge(merge(bins).reverse()).reverse();
+
+    if (bins.length < 2) return { statistic: null, df: 0, pValue: null, bins };
+    const statistic = bins.reduce((sum, bin) => sum + (bin.observed - bin.expected) ** 2 / bin.expected, 0);
+    const df = bins.length - 1;
+    return { statistic, df, pValue: 1 - regularizedGammaP(df / 2, statistic / 2), bins };
+}
+
+// Compara cada estratégia com o acaso: distribuição exata de acertos, intervalos de confiança,
+// qui-quadrado contra a hipergeométrica e teste z da média contra a teoria e contra as apostas "random"
+function analyzeStrategySignificance(game, betsByStrategy, { alpha = 0.05 } = {}) {
+    const probabilities = hitProbabilities(game);
+    const expectedMean = Object.entries(probabilities).reduce((sum, [k, p]) => sum + k * p, 0);
+    const expectedVariance = Object.entries(probabilities).reduce((sum, [k, p]) => sum + (k - expectedMean) ** 2 * p, 0);
+    const expectedRoi = (Object.entries(probabilities)
+        .reduce((sum, [k, p]) => sum + p * (game.prizes[k] || 0), 0) / game.price - 1) * 100;
+    const randomBets = betsByStrategy.random || [];
+    const randomMean = randomBets.length > 0 ? randomBets.reduce((sum, bet) => sum + bet.matches, 0) / randomBets.length : null;
+
+    const report = {};
+    for (const [strategy, bets] of Object.entries(betsByStrategy)) {
+        const n = bets.length;
+        const hits = {}, expectedHits = {};
+        for (let k = 0; k <= game.picks; k++) {
+            hits[k] = 0;
+            expectedHits[k] = probabilities[k] * n;
+        }
+        bets.forEach(bet => hits[bet.matches]++);
+
+        const meanHits = meanConfidenceInterval(bets.map(bet => bet.matches));
+        const roi = meanConfidenceInterval(bets.map(bet => (parseFloat(bet.prize) / game.price - 1) * 100));
+        const goodnessOfFit = n > 0 ? chiSquareGoodnessOfFit(hits, probabilities, n) : { statistic: null, df: 0, pValue: null };
+        delete goodnessOfFit.bins;
+
+        const zTheory = n > 0 ? (meanHits.value - expectedMean) / Math.sqrt(expectedVariance / n) : null;
+        const vsTheory = { z: zTheory, pValue: zTheory === null ? null : twoSidedPValue(zTheory) };
+
+        let vsRandom = null;
+        if (strategy !== 'random' && n > 0 && randomBets.length > 0) {
+            const z = (meanHits.value - randomMean) / Math.sqrt(expectedVariance / n + expectedVariance / randomBets.length);
+            vsRandom = { randomBets: randomBets.length, randomMeanHits: randomMean, z, pValue: twoSidedPValue(z) };
+        }
+
+        const significant = [vsTheory.pValue, goodnessOfFit.pValue].some(p => p !== null && p < alpha);
+        report[strategy] = {
+            totalBets: n,
+            hits,
+            expectedHits,
+            meanHits,
+            expectedMeanHits: expectedMean,
+            roi,
+            expectedRoi,
+            goodnessOfFit,
+            vsTheory,
+            vsRandom,
+            significant,
+            verdict: n < 30
+                ? 'Amostra pequena (menos de 30 apostas): ainda não dá para concluir'
+                : significant
+                    ? `Diferença estatisticamente significativa em relação ao acaso (α = ${alpha})`
+                    : 'Indistinguível do acaso: a diferença é ruído'
+        };
+    }
+    return report;
+}
+
+// Totais por estratégia das apostas conferidas do jogo: todas, automáticas, manuais e escolhidas à mão
+async function computeStats({ game = DEFAULT_GAME, from, to } = {}) {
+    const strategies = [...Object.keys(STRATEGIES), CLOSING_STRATEGY, PICKED_STRATEGY];
+    const stats = { all: {}, auto: {}, manual: {}, [PICKED_TYPE]: {} };
+    
+    for (const type of Object.keys(stats)) {
+        for (const strategy of strategies) {
+            const params = [strategy, game];
+            const conditions = ['b.strategy = $1', 'b.game = $2', 'b.result_numbers IS NOT NULL'];
+            if (type !== 'all') addCondition(conditions, params, 'b.type = ?', type);
+            if (from) addCondition(conditions, params, 'b.date >= ?', from);
+            if (to) addCondition(conditions, params, 'b.date <= ?', to);
+            const result = await pool.query(
+                `SELECT COUNT(*) as total_bets, COALESCE(SUM(prize), 0) as total_prize, COALESCE(SUM(cost), 0) as total_cost, COALESCE(AVG(matches), 0) as avg_matches
+                 FROM bets b WHERE ${conditions.join(' AND ')}`,
+                params
+            );
+            const data = result.rows[0];
+            const totalCost = parseFloat(data.total_cost);
+            const totalPrize = parseFloat(data.total_prize);
+            const netProfit = totalPrize - totalCost;
+            const roi = totalCost > 0 ? ((netProfit / totalCost) * 100).toFixed(2) : '0.00';
+            stats[type][strategy] = {
+                totalBets: parseInt(data.total_bets),
+                totalPrize, totalCost, netProfit, roi,
+                avgMatches: parseFloat(data.avg_matches).toFixed(2)
+            };
+        }
+    }
+    return stats;
+}
+
+// ==================== ANALYTICS ====================
+
+// Moldura (bordas do volante), miolo e primos; calculado uma vez para cada jogo em GAMES
+function buildGrid(game) {
+    const rows = Math.ceil(game.range / game.columns);
+    const grid = { frame: [], center: [], primes: [] };
+    for (let num = 1; num <= game.range; num++) {
+        const row = Math.floor((num - 1) / game.columns);
+        const col = (num - 1) % game.columns;
+        const onEdge = row === 0 || row === rows - 1 || col === 0 || col === game.columns - 1;
+        (onEdge ? grid.frame : grid.center).push(num);
+        let prime = num > 1;
+        for (let divisor = 2; divisor * divisor <= num && prime; divisor++) prime = num % divisor !== 0;
+        if (prime) grid.primes.push(num);
+    }
+    return grid;
+}
+
+function countIn(numbers, group) {
+    return numbers.filter(num => group.includes(num)).length;
+}
+
+function increment(distribution, key) {
+    distribution[key] = (distribution[key] || 0) + 1;
+}
+
+function topCombinations(counts, top) {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, top)
+        .map(([key, count]) => ({ numbers: key.split('-').map(Number), count }));
+}
+
+// rows em ordem crescente de concurso; `previous` é o concurso anterior à janela (para as repetições)
+function analyzeResults(game, rows, { top = 10, previous = null } = {}) {
+    const numbers = {};
+    for (let num = 1; num <= game.range; num++) numbers[num] = { number: num, frequency: 0, currentDelay: 0, maxDelay: 0 };
+    const pairs = {}, triples = {};
+    const oddEven = {}, sums = {}, ranges = {}, frame = {}, center = {}, primes = {}, repeats = {};
+    let sumTotal = 0, sumMin = null, sumMax = null, repeatTotal = 0, repeatCount = 0;
+    let last = previous;
+
+    rows.forEach(row => {
+        const drawn = [...row.numbers].sort((a, b) => a - b);
+
+        for (let num = 1; num <= game.range; num++) {
+            const stats = numbers[num];
+            if (drawn.includes(num)) {
+                stats.frequency++;
+                stats.currentDelay = 0;
+            } else {
+                stats.currentDelay++;
+                stats.maxDelay = Math.max(stats.maxDelay, stats.currentDelay);
+            }
+        }
+
+        for (let i = 0; i < drawn.length; i++) {
+            for (let j = i + 1; j < drawn.length; j++) {
+                increment(pairs, `${drawn[i]}-${drawn[j]}`);
+                for (let k = j + 1; k < drawn.length; k++) increment(triples, `${drawn[i]}-${drawn[j]}-${drawn[k]}`);
+            }
+        }
+
+        const sum = drawn.reduce((total, num) => total + num, 0);
+        sumTotal += sum;
+        sumMin = sumMin === null ? sum : Math.min(sumMin, sum);
+        sumMax = sumMax === null ? sum : Math.max(sumMax, sum);
+        const bucket = Math.floor(sum / 10) * 10;
+        increment(sums, `${bucket}-${bucket + 9}`);
+        increment(ranges, drawn[drawn.length - 1] - drawn[0]);
+        increment(oddEven, `${drawn.filter(num => num % 2 === 1).length}i/${drawn.filter(num => num % 2 === 0).length}p`);
+        increment(frame, countIn(drawn, game.grid.frame));
+        increment(center, countIn(drawn, game.grid.center));
+        increment(primes, countIn(drawn, game.grid.primes));
+
+        if (last) {
+            const repeated = countIn(drawn, last);
+            increment(repeats, repeated);
+            repeatTotal += repeated;
+            repeatCount++;
+        }
+        last = drawn;
+    });
+
+    const contests = rows.length;
+    return {
+        contests,
+        fromContest: rows[0]?.contest_number || null,
+        toContest: rows[contests - 1]?.contest_number || null,
+        numbers: Object.values(numbers).map(stats => ({
+            ...stats,
+            percentage: contests > 0 ? parseFloat((stats.frequency / contests * 100).toFixed(2)) : 0
+        })),
+        topPairs: topCombinations(pairs, top),
+        topTriples: topCombinations(triples, top),
+        oddEven,
+        sum: { min: sumMin, max: sumMax, mean: contests > 0 ? parseFloat((sumTotal / contests).toFixed(2)) : null, distribution: sums },
+        range: ranges,
+        frame,
+        center,
+        primes,
+        repeats: { mean: repeatCount > 0 ? parseFloat((repeatTotal / repeatCount).toFixed(2)) : null, distribution: repeats }
+    };
+}
+
+// ==================== BACKTEST ====================
+
+const BACKTEST_MAX_CONTESTS = envInt('BACKTEST_MAX_CONTESTS', 5000);
+// A simulação é síncrona: o total de apostas geradas limita quanto tempo o servidor fica ocupado
+const BACKTEST_MAX_BETS_PER_CONTEST = envInt('BACKTEST_MAX_BETS_PER_CONTEST', 10);
+const BACKTEST_MAX_BETS = envInt('BACKTEST_MAX_BETS', 30000);
+
+// Conferidor: como uma aposta simples teria se saído em cada concurso guardado do jogo, com a premiação gravada de cada um
+async function checkAgainstHistory(game, numbers, { fromContest = null, toContest = null } = {}) {
+    const params = [game.id];
+    const conditions = ['game = $1'];
+    if (fromContest !== null) addCondition(conditions, params, 'contest_number >= ?', fromContest);
+    if (toContest !== null) addCondition(conditions, params, 'contest_number <= ?', toContest);
+    const result = await pool.query(
+        `SELECT * FROM results WHERE ${conditions.join(' AND ')} ORDER BY contest_number`,
+        params
+    );
+    
+    const contests = result.rows.length;
+    const probabilities = hitProbabilities(game);
+    const distribution = Object.fromEntries(Array.from({ length: game.picks + 1 }, (_, hits) => [hits, 0]));
+    const tiers = Object.fromEntries(game.tiers.map(hits => [hits, { count: 0, prize: 0, expected: Number((contests * probabilities[hits]).toFixed(3)) }]));
+    // Só os concursos das três faixas mais altas (13+ na Lotofácil); as menores ficam nos totais
+    const highlightFrom = game.tiers[Math.max(0, game.tiers.length - 3)];
+    const highlights = [];
+    let totalPrize = 0;
+    let totalMatches = 0;
+    for (const row of result.rows) {
+        const { matches, prize } = scoreBet(game, numbers, row.numbers, prizeTableFromResult(game, row));
+        distribution[matches]++;
+        totalMatches += matches;
+        totalPrize += prize;
+        if (tiers[matches]) {
+            tiers[matches].count++;
+            tiers[matches].prize = roundCents(tiers[matches].prize + prize);
+        }
+        if (matches >= highlightFrom) highlights.push({ contest: row.contest_number, date: toDateString(row.date), matches, prize });
+    }
+    
+    const totalCost = roundCents(contests * game.price);
+    const netProfit = roundCents(totalPrize - totalCost);
+    return {
+        numbers: [...numbers].sort((a, b) => a - b),
+        contests,
+        fromContest: contests > 0 ? result.rows[0].contest_number : null,
+        toContest: contests > 0 ? result.rows[contests - 1].contest_number : null,
+        tiers,
+        distribution,
+        avgMatches: contests > 0 ? (totalMatches / contests).toFixed(2) : '0.00',
+        highlights: highlights.sort((a, b) => b.matches - a.matches || b.contest - a.contest),
+        totalCost,
+        totalPrize: roundCents(totalPrize),
+        netProfit,
+        roi: totalCost > 0 ? ((netProfit / totalCost) * 100).toFixed(2) : '0.00'
+    };
+}
+
+// Replay das estratégias sobre concursos passados, sem gravar nada em bets.
+// Cada concurso usa só os resultados anteriores a ele (sem olhar o futuro).
+async function runBacktest(game, { fromContest, toContest, strategies, params = {}, seed, betsPerContest = 1 }) {
+    const result = await pool.query(
+        'SELECT * FROM results WHERE game = $1 AND contest_number <= $2 ORDER BY contest_number ASC',
+        [game.id, toContest]
+    );
+    const rows = result.rows;
+    const summary = {};
+
+    for (const name of strategies) {
+        // Uma sequência por estratégia: o resultado não depende de quais outras foram escolhidas
+        const random = createRandom(`${seed}:${name}`);
+        const strategyParams = resolveStrategyParams(game, name, params[name]);
+        const window = requiredHistory([strategyParams]);
+        const stats = {
+            bets: 0, hits: {}, totalCost: 0, totalPrize: 0, totalMatches: 0,
+            balance: 0, peak: 0, maxDrawdown: 0
+        };
+        for (let hits = 0; hits <= game.picks; hits++) stats.hits[hits] = 0;
+
+        rows.forEach((row, index) => {
+            if (row.contest_number < fromContest) return;
+            const history = rows.slice(Math.max(0, index - window), index)
+                .reverse()
+                .map(previous => previous.numbers);
+            const prizes = prizeTableFromResult(game, row);
+
+            for (let i = 0; i < betsPerContest; i++) {
+                const numbers = STRATEGIES[name].generate(game, history, strategyParams, random);
+                const { matches, prize } = scoreBet(game, numbers, row.numbers, prizes);
+                stats.bets++;
+                stats.hits[matches]++;
+                stats.totalMatches += matches;
+                stats.totalCost += game.price;
+                stats.totalPrize += prize;
+                stats.balance += prize - game.price;
+                stats.peak = Math.max(stats.peak, stats.balance);
+                stats.maxDrawdown = Math.max(stats.maxDrawdown, stats.peak - stats.balance);
+            }
+        });
+
+        const netProfit = stats.totalPrize - stats.totalCost;
+        summary[name] = {
+            params: strategyParams,
+            totalBets: stats.bets,
+            hits: stats.hits,
+            totalCost: stats.totalCost,
+            totalPrize: stats.totalPrize,
+            netProfit,
+            roi: stats.totalCost > 0 ? ((netProfit / stats.totalCost) * 100).toFixed(2) : '0.00',
+            avgMatches: stats.bets > 0 ? (stats.totalMatches / stats.bets).toFixed(2) : '0.00',
+            maxDrawdown: stats.maxDrawdown
+        };
+    }
+
+    const contests = rows.filter(row => row.contest_number >= fromContest).length;
+    return { game: game.id, fromContest, toContest, seed, betsPerContest, contests, strategies: summary };
+}
+
+// ==================== ALLOCATION ====================
+
+// Bandido multibraço: cada estratégia é um braço e o acerto é uma aposta simples do jogo conferida na menor faixa
+// premiada (11+ pontos na Lotofácil). Uma parcela mínima vai para todas (exploração); o resto segue o histórico
+const ALLOCATION = {
+    methods: ['thompson', 'ucb'],
+    defaultMinShare: 0.05,
+    maxBets: 500
+};
+
+async function strategyTrackRecord(game, names) {
+    const result = await pool.query(
+        `SELECT strategy, COUNT(*) AS trials, COUNT(*) FILTER (WHERE matches >= $1) AS hits
+         FROM bets WHERE game = $2 AND result_numbers IS NOT NULL AND array_length(numbers, 1) = $3 AND strategy = ANY($4)
+         GROUP BY strategy`,
+        [game.tiers[0], game.id, game.picks, names]
+    );
+    const found = Object.fromEntries(result.rows.map(row => [row.strategy, row]));
+    return Object.fromEntries(names.map(name => [name, {
+        trials: found[name] ? parseInt(found[name].trials) : 0,
+        hits: found[name] ? parseInt(found[name].hits) : 0
+    }]));
+}
+
+function validateAllocation(allocation) {
+    if (!allocation || typeof allocation !== 'object') return 'allocation deve ser um objeto';
+    const { method = 'thompson', bets, amount, minShare = ALLOCATION.defaultMinShare, strategies } = allocation;
+    if (!ALLOCATION.methods.includes(method)) return `method deve ser ${ALLOCATION.methods.join(' ou ')}`;
+    if (bets === undefined && amount === undefined) return 'Informe bets (quantidade de apostas) ou amount (valor em R$)';
+    if (bets !== undefined && (!Number.isInteger(bets) || bets < 1 || bets > ALLOCATION.maxBets)) {
+        return `bets deve ser de 1 a ${ALLOCATION.maxBets}`;
+    }
+    if (amount !== undefined && !(typeof amount === 'number' && amount > 0)) return 'amount deve ser um valor positivo';
+    if (strategies !== undefined) {
+        if (!Array.isArray(strategies) || strategies.length === 0) return 'strategies deve ser uma lista de estratégias';
+        const unknown = strategies.filter(name => !STRATEGIES[name]);
+        if (unknown.length > 0) return `Estratégias desconhecidas: ${unknown.join(', ')}`;
+    }
+    const arms = strategies ? strategies.length : Object.keys(STRATEGIES).length;
+    if (typeof minShare !== 'number' || minShare < 0 || minShare * arms > 1) {
+        return `minShare deve ser de 0 a ${(1 / arms).toFixed(4)} (1 / número de estratégias)`;
+    }
+    return null;
+}
+
+// Configuração completa com o total de apostas (amount vira quantidade pelo preço da aposta)
+function resolveAllocation(game, allocation, betSize = game.picks) {
+    const settings = { method: 'thompson', minShare: ALLOCATION.defaultMinShare, strategies: Object.keys(STRATEGIES), ...allocation };
+    const total = settings.bets ?? Math.min(Math.floor(settings.amount / betPrice(game, betSize)), ALLOCATION.maxBets);
+    return { ...settings, total };
+}
+
+// Marsaglia-Tsang (forma >= 1, sempre o caso com a priori 1) com normal por Box-Muller, tudo no gerador semeado
+function sampleGamma(shape, random) {
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x, v;
+        do {
+            x = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+            v = 1 + c * x;
+        } while (v <= 0);
+        v = v * v * v;
+        if (Math.log(random()) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+    }
+}
+
+function sampleBeta(alpha, beta, random) {
+    const x = sampleGamma(alpha, random);
+    return x / (x + sampleGamma(beta, random));
+}
+
+// Primeiro o mínimo de cada braço (minShare x total arredondado, sem passar da divisão igual), depois uma aposta por vez:
+// Thompson sorteia a taxa de acerto na Beta(1 + acertos, 1 + erros) de cada braço e fica com a maior;
+// UCB1 soma à taxa observada um bônus que encolhe conforme o braço é jogado (apostas já alocadas contam)
+function allocateBets(record, { method, total, minShare, seed }) {
+    const names = Object.keys(record);
+    const random = createRandom(seed);
+    const minimum = Math.min(Math.round(total * minShare), Math.floor(total / names.length));
+    const allocation = Object.fromEntries(names.map(name => [name, minimum]));
+    let plays = names.reduce((sum, name) => sum + record[name].trials + minimum, 0);
+    
+    for (let remaining = total - minimum * names.length; remaining > 0; remaining--) {
+        let best = null;
+        let bestScore = -Infinity;
+        for (const name of names) {
+            const { trials, hits } = record[name];
+            const played = trials + allocation[name];
+            const score = method === 'thompson'
+                ? sampleBeta(1 + hits, 1 + trials - hits, random)
+                : played === 0 ? Infinity : (trials > 0 ? hits / trials : 0) + Math.sqrt(2 * Math.log(plays + 1) / played);
+            if (score > bestScore) {
+                best = name;
+                bestScore = score;
+            }
+        }
+        allocation[best]++;
+        plays++;
+    }
+    
+    const arms = Object.fromEntries(names.map(name => {
+        const { trials, hits } = record[name];
+        return [name, {
+            trials, hits,
+            hitRate: trials > 0 ? Math.round(hits / trials * 10000) / 10000 : null,
+            posteriorMean: Math.round((1 + hits) / (2 + trials) * 10000) / 10000,
+            minimum,
+            allocated: allocation[name]
+        }];
+    }));
+    return { allocation, arms };
+}
+
+// Grava a decisão; `runDate` só na geração diária, que tem uma decisão por jogo e data
+async function createAllocation(game, settings, { source, runDate = null, seed = newSeed() }) {
+    const record = await strategyTrackRecord(game, settings.strategies);
+    const { allocation, arms } = allocateBets(record, { ...settings, seed });
+    const saved = await pool.query(
+        `INSERT INTO allocation_decisions (game, source, run_date, method, total_bets, min_share, seed, arms, allocation)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (game, run_date) WHERE source = 'daily' DO NOTHING
+         RETURNING *`,
+        [game.id, source, runDate, settings.method, settings.total, settings.minShare, seed, JSON.stringify(arms), JSON.stringify(allocation)]
+    );
+    return saved.rows[0] || null;
+}
+
+// DAILY_ALLOCATION (JSON, ex.: {"method":"thompson","bets":6,"minShare":0.1}) liga a alocação no job diário
+// da Lotofácil; os outros jogos usam DAILY_ALLOCATION_MEGASENA etc.
+function dailyAllocation(game) {
+    const value = gameEnv('DAILY_ALLOCATION', game);
+    if (!value) return null;
+    try {
+        const allocation = JSON.parse(value);
+        const invalid = validateAllocation(allocation);
+        if (invalid) {
+            console.error(`❌ DAILY_ALLOCATION (${game.label}) ignorado:`, invalid);
+            return null;
+        }
+        const settings = resolveAllocation(game, allocation);
+        if (settings.total === 0) {
+            console.error(`❌ DAILY_ALLOCATION (${game.label}) ignorado: amount não paga uma aposta (R$ ${game.price.toFixed(2)})`);
+            return null;
+        }
+        return settings;
+    } catch (error) {
+        console.error(`❌ DAILY_ALLOCATION (${game.label}) não é um JSON válido:`, error.message);
+        return null;
+    }
+}
+
+// A decisão do dia é reaproveitada: recuperar ou repetir a geração não sorteia outra divisão
+async function dailyAllocationDecision(game, date, settings) {
+    const created = await createAllocation(game, settings, { source: 'daily', runDate: date });
+    if (created) {
+        console.log(`🎰 Alocação ${settings.method} da ${game.label} em ${date}: ${JSON.stringify(created.allocation)}`);
+        return created;
+    }
+    const existing = await pool.query(
+        "SELECT * FROM allocation_decisions WHERE game = $1 AND source = 'daily' AND run_date = $2",
+        [game.id, date]
+    );
+    return existing.rows[0];
+}
+
+// ==================== AUTH ====================
+
+// Cada papel inclui os anteriores: leitura < operação (gerar, inserir resultados) < correção de dados
+const ROLES = { viewer: 1, operator: 2, admin: 3 };
+const AUTH = {
+    disabled: process.env.AUTH_DISABLED === 'true',
+    publicRead: process.env.AUTH_PUBLIC_READ === 'true',
+    adminToken: process.env.ADMIN_TOKEN || null
+};
+// Quem aparece na auditoria quando a mudança vem dos jobs agendados
+const SYSTEM_USER = { id: null, name: 'sistema (cron)', role: 'system' };
+const AUDIT_REDACTED = ['token', 'password'];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function requestToken(req) {
+    const header = req.get('authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return req.get('x-api-token') || null;
+}
+
+function isAdminToken(token) {
+    if (!AUTH.adminToken) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(hashToken(AUTH.adminToken), 'hex'));
+}
+
+async function authenticate(req, res, next) {
+    try {
+        req.user = null;
+        const token = requestToken(req);
+        if (!token) return next();
+        if (isAdminToken(token)) {
+            req.user = { id: null, name: 'admin (ADMIN_TOKEN)', role: 'admin' };
+            return next();
+        }
+        const found = await pool.query(
+            'UPDATE users SET last_used_at = NOW() WHERE token_hash = $1 AND active RETURNING id, name, role',
+            [hashToken(token)]
+        );
+        if (found.rows.length === 0) {
+            return res.status(401).json({ success: false, error: 'Token inválido ou desativado' });
+        }
+        req.user = found.rows[0];
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (AUTH.disabled) return next();
+        if (!req.user && role === 'viewer' && AUTH.publicRead && req.method === 'GET') return next();
+        if (!req.user) {
+            return res.status(401).json({ success: false, error: 'Autenticação necessária (Authorization: Bearer <token>)' });
+        }
+        if (ROLES[req.user.role] < ROLES[role]) {
+            return res.status(403).json({ success: false, error: `Permissão insuficiente: requer papel ${role}` });
+        }
+        next();
+    };
+}
+
+// Corpo da requisição para a auditoria: sem tokens e sem arquivos inteiros
+function auditBody(body) {
+    if (typeof body === 'string') return { text: `${body.length} caracteres` };
+    if (!body || typeof body !== 'object') return null;
+    return Object.fromEntries(Object.entries(body).map(([key, value]) => {
+        if (AUDIT_REDACTED.includes(key)) return [key, '***'];
+        const json = JSON.stringify(value);
+        return [key, json && json.length > 500 ? `${json.length} caracteres` : value];
+    }));
+}
+
+async function recordAudit(user, action, { status = null, details = null, ip = null } = {}) {
+    try {
+        await pool.query(
+            `INSERT INTO audit_log (user_id, user_name, role, action, status, details, ip)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [user?.id || null, user?.name || 'anônimo', user?.role || null, action, status, details ? JSON.stringify(details) : null, ip]
+        );
+    } catch (error) {
+        console.error('❌ Auditoria:', error.message);
+    }
+}
+
+async function createUser(name, role) {
+    const token = newToken();
+    const created = await pool.query(
+        'INSERT INTO users (name, role, token_hash) VALUES ($1, $2, $3) RETURNING id, name, role, active, created_at',
+        [name, role, hashToken(token)]
+    );
+    return { user: created.rows[0], token };
+}
+
+function validateUser({ name, role }, { partial = false } = {}) {
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '' || name.length > 100) return 'Informe o nome (até 100 caracteres)';
+    }
+    if (!partial || role !== undefined) {
+        if (!ROLES[role]) return `role deve ser ${Object.keys(ROLES).join(', ')}`;
+    }
+    return null;
+}
+
+// Toda requisição que altera dados fica na auditoria, inclusive as recusadas
+app.use('/api', (req, res, next) => {
+    if (req.method === 'GET') return next();
+    res.on('finish', () => {
+        recordAudit(req.user, `${req.method} ${req.baseUrl}${req.path}`, {
+            status: res.statusCode,
+            details: { query: req.query, body: auditBody(req.body) },
+            ip: req.ip
+        });
+    });
+    next();
+});
+
+// Leitura pede viewer; qualquer escrita pede ao menos operator (as de correção pedem admin na rota).
+// As próprias assinaturas de notificação qualquer usuário gerencia (webhook pede operator na rota)
+app.use('/api', authenticate, (req, res, next) => {
+    const selfService = req.path.startsWith('/notifications/');
+    requireRole(req.method === 'GET' || selfService ? 'viewer' : 'operator')(req, res, next);
+});
+
+// ==================== LISTINGS ====================
+
+// Ordenações de /api/bets e /api/results: expressão sem nulos e o tipo usado para comparar o cursor
+const LIST_SORTS = {
+    bets: {
+        date: { expr: 'b.date', type: 'date' },
+        contest: { expr: 'COALESCE(b.contest_number, b.target_contest, 0)', type: 'integer' },
+        matches: { expr: 'COALESCE(b.matches, -1)', type: 'integer' },
+        prize: { expr: 'b.prize', type: 'numeric' }
+    },
+    results: {
+        date: { expr: 'r.date', type: 'date' },
+        contest: { expr: 'r.contest_number', type: 'integer' },
+        prize: { expr: 'r.total_prize', type: 'numeric' },
+        balance: { expr: 'r.balance', type: 'numeric' }
+    }
+};
+const BET_TYPES = ['auto', 'manual', PICKED_TYPE];
+// Sem `limit` valem os tamanhos antigos (200 apostas, 50 resultados)
+const LIST_LIMITS = { bets: { fallback: 200, max: 500 }, results: { fallback: 50, max: 200 } };
+
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(values) && values.length === 2 && Number.isInteger(values[1]) ? values : null;
+    } catch {
+        return null;
+    }
+}
+
+// Lê jogo, filtros, ordenação e página da query string; `error` traz a mensagem quando algo não confere
+function parseListQuery(query, list) {
+    const game = gameFrom(query.game);
+    if (!game) return { error: GAME_ERROR };
+    const filters = { game: game.id };
+    if (query.strategy) filters.strategies = String(query.strategy).split(',').map(name => name.trim()).filter(Boolean);
+    if (query.type !== undefined) {
+        if (!BET_TYPES.includes(query.type)) return { error: `type deve ser ${BET_TYPES.join(', ')}` };
+        filters.type = query.type;
+    }
+    for (const key of ['from', 'to']) {
+        if (query[key] === undefined) continue;
+        if (!isCalendarDate(query[key])) return { error: `${key} deve ser uma data válida no formato AAAA-MM-DD` };
+        filters[key] = query[key];
+    }
+    for (const key of ['contestFrom', 'contestTo', 'minMatches']) {
+        if (query[key] === undefined) continue;
+        const value = Number(query[key]);
+        if (!Number.isInteger(value) || value < 0) return { error: `${key} deve ser um inteiro >= 0` };
+        filters[key] = value;
+    }
+    if (query.prizeOnly !== undefined) filters.prizeOnly = query.prizeOnly === 'true';
+    if (query.status !== undefined) {
+        if (!['pending', 'checked'].includes(query.status)) return { error: 'status deve ser pending ou checked' };
+        filters.status = query.status;
+    }
+    
+    const sort = query.sort || 'date';
+    if (!LIST_SORTS[list][sort]) return { error: `sort deve ser ${Object.keys(LIST_SORTS[list]).join(', ')}` };
+    const order = query.order || 'desc';
+    if (!['asc', 'desc'].includes(order)) return { error: 'order deve ser asc ou desc' };
+    const limit = query.limit === undefined ? LIST_LIMITS[list].fallback : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIST_LIMITS[list].max) {
+        return { error: `limit deve ser de 1 a ${LIST_LIMITS[list].max}` };
+    }
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    if (query.cursor && !cursor) return { error: 'cursor inválido' };
+    return { filters, sort: LIST_SORTS[list][sort], order, limit, cursor };
+}
+
+// `?` vira o próximo parâmetro numerado ($1, $2...)
+function addCondition(conditions, params, sql, value) {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+}
+
+// Condições sobre as apostas (alias b); os valores vão para `params`
+function betConditions(filters, params) {
+    const conditions = [];
+    const add = (sql, value) => addCondition(conditions, params, sql, value);
+    if (filters.strategies) add('b.strategy = ANY(?)', filters.strategies);
+    if (filters.type) add('b.type = ?', filters.type);
+    if (filters.minMatches !== undefined) add('b.matches >= ?', filters.minMatches);
+    if (filters.prizeOnly) conditions.push('b.prize > 0');
+    if (filters.status === 'pending') conditions.push('b.result_numbers IS NULL');
+    if (filters.status === 'checked') conditions.push('b.result_numbers IS NOT NULL');
+    return conditions;
+}
+
+// Página por cursor (valor da ordenação + id do último item) e o total com os mesmos filtros
+async function listPage({ table, alias, conditions, params, sort, order, limit, cursor }) {
+    const where = list => list.length > 0 ? `WHERE ${list.join(' AND ')}` : '';
+    const count = await pool.query(`SELECT COUNT(*) AS total FROM ${table} ${alias} ${where(conditions)}`, params);
+    
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor) {
+        pageParams.push(cursor[0], cursor[1]);
+        const direction = order === 'asc' ? '>' : '<';
+        pageConditions.push(`(${sort.expr}, ${alias}.id) ${direction} ($${pageParams.length - 1}::${sort.type}, $${pageParams.length}::integer)`);
+    }
+    pageParams.push(limit + 1);
+    const rows = await pool.query(
+        `SELECT ${alias}.*, (${sort.expr})::text AS sort_value FROM ${table} ${alias} ${where(pageConditions)}
+         ORDER BY ${sort.expr} ${order}, ${alias}.id ${order}
+         LIMIT $${pageParams.length}`,
+        pageParams
+    );
+    
+    const items = rows.rows.slice(0, limit);
+    const last = items[items.length - 1];
+    return {
+        items: items.map(({ sort_value, ...row }) => row),
+        total: parseInt(count.rows[0].total),
+        nextCursor: rows.rows.length > limit ? encodeCursor([last.sort_value, last.id]) : null
+    };
+}
+
+function betListConditions(filters, params) {
+    const conditions = betConditions(filters, params);
+    const add = (sql, value) => addCondition(conditions, params, sql, value);
+    add('b.game = ?', filters.game);
+    if (filters.from) add('b.date >= ?', filters.from);
+    if (filters.to) add('b.date <= ?', filters.to);
+    if (filters.contestFrom !== undefined) add('COALESCE(b.contest_number, b.target_contest) >= ?', filters.contestFrom);
+    if (filters.contestTo !== undefined) add('COALESCE(b.contest_number, b.target_contest) <= ?', filters.contestTo);
+    return conditions;
+}
+
+// Os filtros de aposta escolhem os concursos que têm ao menos uma aposta que os atende
+function resultListConditions({ status, ...filters }, params) {
+    const conditions = [];
+    const add = (sql, value) => addCondition(conditions, params, sql, value);
+    add('r.game = ?', filters.game);
+    const betFilters = betConditions(filters, params);
+    if (betFilters.length > 0) {
+        conditions.push(`EXISTS (SELECT 1 FROM bets b WHERE b.game = r.game AND b.contest_number = r.contest_number AND ${betFilters.join(' AND ')})`);
+    }
+    if (filters.from) add('r.date >= ?', filters.from);
+    if (filters.to) add('r.date <= ?', filters.to);
+    if (filters.contestFrom !== undefined) add('r.contest_number >= ?', filters.contestFrom);
+    if (filters.contestTo !== undefined) add('r.contest_number <= ?', filters.contestTo);
+    return conditions;
+}
+
+async function listBets(query) {
+    const parsed = parseListQuery(query, 'bets');
+    if (parsed.error) return parsed;
+    const params = [];
+    const conditions = betListConditions(parsed.filters, params);
+    return listPage({ table: 'bets', alias: 'b', conditions, params, ...parsed });
+}
+
+async function listResults(query) {
+    const parsed = parseListQuery(query, 'results');
+    if (parsed.error) return parsed;
+    const params = [];
+    const conditions = resultListConditions(parsed.filters, params);
+    const page = await listPage({ table: 'results', alias: 'r', conditions, params, ...parsed });
+    
+    if (query.includeBets === 'true' && page.items.length > 0) {
+        const bets = await pool.query(
+            'SELECT * FROM bets WHERE game = $1 AND contest_number = ANY($2) ORDER BY id',
+            [parsed.filters.game, page.items.map(result => result.contest_number)]
+        );
+        for (const result of page.items) {
+            result.bets = bets.rows.filter(bet => bet.contest_number === result.contest_number);
+        }
+    }
+    return page;
+}
+
+// ==================== EXPORT ====================
+
+// Colunas de resultados dependem das faixas do jogo (ganhadores só das faixas de valor variável)
+const CSV_COLUMNS = {
+    bets: () => ['id', 'game', 'date', 'contest_number', 'target_contest', 'strategy', 'type', 'numbers', 'result_numbers', 'matches', 'prize', 'cost', 'pool_id', 'seed', 'picked_by'],
+    results: game => ['game', 'contest_number', 'date', 'numbers', 'bets_checked', 'total_cost', 'total_prize', 'balance',
+        ...game.tiers.map(hits => `prize_${hits}`),
+        ...game.tiers.filter(hits => !game.fixedTiers.includes(hits)).map(hits => `winners_${hits}`),
+        'accumulated', 'prizes_estimated', 'source'],
+    stats: () => ['type', 'strategy', 'totalBets', 'totalCost', 'totalPrize', 'netProfit', 'roi', 'avgMatches']
+};
+
+// Tabelas do backup na ordem das chaves estrangeiras. Tabela nova entra aqui junto com a migração
+const BACKUP_TABLES = [
+    'users', 'audit_log', 'pools', 'pool_participants', 'allocation_decisions', 'bets', 'pool_ledger', 'results',
+    'bankroll_ledger', 'bankroll_settings', 'notification_subscriptions', 'notification_log',
+    'job_runs', 'daily_bets'
+];
+const BACKUP_FORMAT = { name: 'lotofacil-tracker-backup', version: 1 };
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) value = value.toISOString();
+    if (Array.isArray(value)) value = value.join(' ');
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    for (const row of rows) lines.push(columns.map(column => csvValue(row[column])).join(','));
+    return `${lines.join('\n')}\n`;
+}
+
+// Linhas para exportar: os mesmos filtros das listagens, sem paginação, em ordem cronológica
+async function exportRows(dataset, query) {
+    const parsed = parseListQuery({ ...query, limit: undefined, cursor: undefined, sort: undefined, order: undefined }, dataset === 'results' ? 'results' : 'bets');
+    if (parsed.error) return parsed;
+    if (dataset === 'stats') {
+        const stats = await computeStats(parsed.filters);
+        return {
+            rows: Object.entries(stats).flatMap(([type, byStrategy]) =>
+                Object.entries(byStrategy).map(([strategy, data]) => ({ type, strategy, ...data }))),
+            data: stats
+        };
+    }
+    const params = [];
+    const [table, alias, conditions] = dataset === 'bets'
+        ? ['bets', 'b', betListConditions(parsed.filters, params)]
+        : ['results', 'r', resultListConditions(parsed.filters, params)];
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await pool.query(`SELECT ${alias}.* FROM ${table} ${alias} ${where} ORDER BY ${alias}.date, ${alias}.id`, params);
+    const rows = result.rows.map(row => ({ ...row, date: toDateString(row.date) }));
+    return { rows, data: rows };
+}
+
+function strategyLabel(name) {
+    if (STRATEGIES[name]) return STRATEGIES[name].label;
+    if (name === PICKED_STRATEGY) return 'Escolhida à mão';
+    return name === CLOSING_STRATEGY ? 'Desdobramento' : name;
+}
+
+function formatBRL(value) {
+    return `R$ ${Number(value).toFixed(2).replace('.', ',')}`;
+}
+
+// Apostas do jogo ainda não conferidas geradas na data, para levar à lotérica
+async function pendingSlips(game, date) {
+    const result = await pool.query(
+        'SELECT * FROM bets WHERE game = $1 AND date = $2 AND result_numbers IS NULL ORDER BY id',
+        [game.id, date]
+    );
+    return result.rows.map(bet => ({
+        id: bet.id,
+        strategy: strategyLabel(bet.strategy),
+        type: bet.type,
+        contest: bet.target_contest,
+        numbers: bet.numbers,
+        cost: parseFloat(bet.cost) || betPrice(game, bet.numbers.length)
+    }));
+}
+
+function slipCaption(slip) {
+    return [slip.contest ? `Concurso ${slip.contest}` : null, `${slip.numbers.length} números`, formatBRL(slip.cost)]
+        .filter(Boolean).join(' · ');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// Volante oficial do jogo (5 x 5 de 01 a 25 na Lotofácil) com os números marcados
+function renderSlipsHtml(game, date, slips) {
+    const total = slips.reduce((sum, slip) => sum + slip.cost, 0);
+    const cards = slips.map(slip => {
+        const cells = Array.from({ length: game.range }, (_, i) => i + 1).map(number =>
+            `<div class="cell${slip.numbers.includes(number) ? ' marked' : ''}">${String(number).padStart(2, '0')}</div>`).join('');
+        return `<div class="slip"><strong>Aposta #${slip.id} · ${escapeHtml(slip.strategy)}</strong>
+            <small>${escapeHtml(slipCaption(slip))}</small><div class="grid">${cells}</div></div>`;
+    }).join('\n');
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="UTF-8">
+<title>${game.label} - apostas de ${date}</title>
+<style>
+    @page { size: A4; margin: 12mm; }
+    body { font-family: Arial, sans-serif; color: #111; margin: 0; padding: 12mm; }
+    header { display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 8mm; }
+    .slips { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6mm; }
+    .slip { border: 1px solid #111; border-radius: 3mm; padding: 3mm; break-inside: avoid; font-size: 10pt; }
+    .slip small { display: block; color: #555; margin: 1mm 0 2mm; }
+    .grid { display: grid; grid-template-columns: repeat(${game.columns}, 1fr); gap: 1mm; }
+    .cell { border: 1px solid #999; text-align: center; padding: 1.5mm 0; font-size: ${game.columns > 5 ? 7 : 9}pt; color: #999; }
+    .cell.marked { background: #111; border-color: #111; color: #fff; font-weight: bold; }
+    button { padding: 2mm 5mm; font-size: 11pt; }
+    @media print { body { padding: 0; } button { display: none; } .cell.marked { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style>
+</head>
+<body>
+<header>
+    <div><h2 style="margin: 0">${game.label} · ${date.split('-').reverse().join('/')}</h2>${slips.length} apostas pendentes · ${formatBRL(total)}</div>
+    <button onclick="window.print()">Imprimir / salvar PDF</button>
+</header>
+<div class="slips">
+${cards || '<p>Nenhuma aposta pendente nesta data.</p>'}
+</div>
+</body>
+</html>`;
+}
+
+// PDF mínimo (A4, Helvetica, sem dependências): só linhas, retângulos e texto
+function pdfText(text) {
+    return String(text).replace(/[^\x20-\xff]/g, '').replace(/[\\()]/g, char => `\\${char}`);
+}
+
+function buildPdf(pages) {
+    const objects = [null,
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'];
+    pages.forEach((content, i) => {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets.push(Buffer.byteLength(pdf, 'latin1'));
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => { pdf += `${String(offset).padStart(10, '0')} 00000 n \n`; });
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+// 12 volantes por página (3 colunas x 4 linhas), mesma cartela do HTML; as casas encolhem nos volantes de 10 colunas
+function renderSlipsPdf(game, date, slips) {
+    const layout = { margin: 40, columns: 3, rows: 4, gap: 14, header: 50 };
+    const width = (595 - 2 * layout.margin - (layout.columns - 1) * layout.gap) / layout.columns;
+    const cell = Math.min(24, Math.floor((width - 12) / game.columns));
+    const font = cell >= 20 ? 9 : 6;
+    const height = Math.ceil(game.range / game.columns) * cell + 44;
+    const total = slips.reduce((sum, slip) => sum + slip.cost, 0);
+    const text = (x, y, size, value) => `BT /F1 ${size} Tf ${x.toFixed(1)} ${y.toFixed(1)} Td (${pdfText(value)}) Tj ET`;
+    const perPage = layout.columns * layout.rows;
+    const pages = [];
+    
+    for (let start = 0; start === 0 || start < slips.length; start += perPage) {
+        const ops = ['0.6 w', '0 G', '0 g',
+            text(layout.margin, 842 - layout.margin - 14, 16, `${game.label} · ${date.split('-').reverse().join('/')}`),
+            text(layout.margin, 842 - layout.margin - 32, 10, slips.length > 0
+                ? `${slips.length} apostas pendentes · ${formatBRL(total)}`
+                : 'Nenhuma aposta pendente nesta data.')];
+        slips.slice(start, start + perPage).forEach((slip, i) => {
+            const x = layout.margin + (i % layout.columns) * (width + layout.gap);
+            const top = 842 - layout.margin - layout.header - Math.floor(i / layout.columns) * (height + layout.gap);
+            ops.push(`${x.toFixed(1)} ${(top - height).toFixed(1)} ${width.toFixed(1)} ${height} re S`);
+            ops.push(text(x + 6, top - 14, 9, `Aposta #${slip.id} · ${slip.strategy}`));
+            ops.push(text(x + 6, top - 26, 7, slipCaption(slip)));
+            const gridX = x + (width - game.columns * cell) / 2;
+            for (let number = 1; number <= game.range; number++) {
+                const cellX = gridX + ((number - 1) % game.columns) * cell;
+                const cellY = top - 36 - (Math.floor((number - 1) / game.columns) + 1) * cell;
+                const marked = slip.numbers.includes(number);
+                ops.push(`${marked ? '0' : '0.6'} G ${(cellX + 1).toFixed(1)} ${(cellY + 1).toFixed(1)} ${cell - 2} ${cell - 2} re ${marked ? 'B' : 'S'}`);
+                ops.push(`${marked ? '1' : '0.6'} g`);
+                ops.push(text(cellX + cell / 2 - font * 5 / 9, cellY + cell / 2 - font / 3, font, String(number).padStart(2, '0')));
+                ops.push('0 g 0 G');
+            }
+        });
+        pages.push(ops.join('\n'));
+    }
+    return buildPdf(pages);
+}
+
+// Backup do banco inteiro num único JSON, lido numa transação só para sair consistente
+async function createBackup() {
+    return withTransaction(async db => {
+        await db.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ READ ONLY');
+        const applied = await db.query('SELECT MAX(version) AS version FROM schema_migrations');
+        const tables = {};
+        for (const table of BACKUP_TABLES) {
+            // O próprio Postgres serializa: datas, arrays e JSONB voltam iguais na restauração
+            const result = await db.query(`SELECT COALESCE(json_agg(t), '[]'::json) AS rows FROM ${table} t`);
+            tables[table] = result.rows[0].rows;
+        }
+        return {
+            format: BACKUP_FORMAT.name,
+            version: BACKUP_FORMAT.version,
+            schemaVersion: applied.rows[0].version,
+            createdAt: new Date().toISOString(),
+            tables
+        };
+    });
+}
+
+function validateBackup(backup, schemaVersion) {
+    if (!backup || backup.format !== BACKUP_FORMAT.name) return 'Arquivo não é um backup do Lotofácil Tracker';
+    if (backup.version !== BACKUP_FORMAT.version) return `Versão de backup não suportada: ${backup.version}`;
+    if (backup.schemaVersion !== schemaVersion) {
+        return `Backup do esquema ${backup.schemaVersion}, banco no esquema ${schemaVersion}: migre um dos dois para a mesma versão`;
+    }
+    if (!backup.tables || typeof backup.tables !== 'object') return 'tables é obrigatório';
+    const unknown = Object.keys(backup.tables).filter(table => !BACKUP_TABLES.includes(table));
+    if (unknown.length > 0) return `Tabelas desconhecidas: ${unknown.join(', ')}`;
+    const invalid = BACKUP_TABLES.filter(table => !Array.isArray(backup.tables[table]));
+    if (invalid.length > 0) return `Tabelas ausentes: ${invalid.join(', ')}`;
+    return null;
+}
+
+// Substitui todos os dados pelos do backup: ou restaura tudo, ou nada muda
+async function restoreBackup(backup) {
+    return withTransaction(async db => {
+        await db.query('SELECT pg_advisory_xact_lock($1)', [LOCKS.migrations]);
+        const applied = await db.query('SELECT MAX(version) AS version FROM schema_migrations');
+        const invalid = validateBackup(backup, applied.rows[0].version);
+        if (invalid) return { error: invalid };
+        
+        await db.query(`TRUNCATE ${BACKUP_TABLES.join(', ')} RESTART IDENTITY CASCADE`);
+        const counts = {};
+        for (const table of BACKUP_TABLES) {
+            const rows = backup.tables[table];
+            if (rows.length > 0) {
+                await db.query(`INSERT INTO ${table} SELECT * FROM json_populate_recordset(NULL::${table}, $1)`, [JSON.stringify(rows)]);
+                const serial = await db.query(
+                    `SELECT pg_get_serial_sequence($1, 'id') AS sequence FROM information_schema.columns
+                     WHERE table_schema = 'public' AND table_name = $1 AND column_name = 'id'`,
+                    [table]
+                );
+                if (serial.rows[0]?.sequence) await db.query(`SELECT setval($1, MAX(id)) FROM ${table}`, [serial.rows[0].sequence]);
+            }
+            counts[table] = rows.length;
+        }
+        return { schemaVersion: backup.schemaVersion, createdAt: backup.createdAt, tables: counts };
+    });
+}
+
+// ==================== API ====================
+
+// Sem `game` (query ou corpo) as rotas usam a Lotofácil
+app.get('/api/games', (req, res) => {
+    res.json(Object.values(GAMES).map(game => ({
+        id: game.id,
+        label: game.label,
+        icon: game.icon,
+        range: game.range,
+        columns: game.columns,
+        picks: game.picks,
+        drawn: game.drawn,
+        betSizes: game.betSizes,
+        price: game.price,
+        priceTable: game.priceTable,
+        tiers: game.tiers,
+        prizes: game.prizes,
+        fixedTiers: game.fixedTiers,
+        draw: game.draw,
+        active: ACTIVE_GAMES.includes(game),
+        default: game.id === DEFAULT_GAME
+    })));
+});
+
+// Filtros: game, strategy, type, from/to, contestFrom/contestTo, minMatches, prizeOnly, status; página por cursor
+app.get('/api/bets', async (req, res) => {
+    try {
+        const page = await listBets(req.query);
+        if (page.error) {
+            return res.status(400).json({ success: false, error: page.error });
+        }
+        res.json({ bets: page.items, total: page.total, nextCursor: page.nextCursor });
+    } catch { res.status(500).json({ error: 'Erro' }); }
+});
+
+// Refaz a aposta com a semente, os parâmetros e a janela de histórico gravados e compara os números
+app.get('/api/bets/:id/reproduce', async (req, res) => {
+    try {
+        const found = await pool.query('SELECT * FROM bets WHERE id = $1', [parseInt(req.params.id)]);
+        if (found.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Aposta não encontrada' });
+        }
+        
+        const stored = found.rows[0];
+        const game = GAMES[stored.game];
+        // Desdobramento não tem semente: o cálculo é refeito e a aposta precisa estar nele
+        if (stored.strategy === CLOSING_STRATEGY && stored.strategy_params) {
+            const { pool: numbers, hits, drawn } = stored.strategy_params;
+            const closing = buildClosing(game, numbers, hits, drawn);
+            return res.json({
+                success: true,
+                reproduced: closing.bets.some(bet => bet.join(',') === stored.numbers.join(',')),
+                params: stored.strategy_params,
+                guarantee: closing.guarantee,
+                storedNumbers: stored.numbers
+            });
+        }
+        if (stored.seed === null || !STRATEGIES[stored.strategy]) {
+            return res.status(409).json({ success: false, error: 'Aposta sem semente registrada (gerada antes da auditoria)' });
+        }
+        
+        const params = resolveStrategyParams(game, stored.strategy, stored.strategy_params);
+        const history = stored.history_contest
+            ? await loadHistory(game, requiredHistory([params], stored.filters), stored.history_contest + 1)
+            : [];
+        const bet = reproduceBet(game, stored.strategy, params, history, stored.seed, stored.filters, stored.filter_repair_round, stored.numbers.length);
+        const reproduced = bet.numbers.length === stored.numbers.length &&
+            bet.numbers.every((num, i) => num === stored.numbers[i]);
+        
+        res.json({
+            success: true,
+            reproduced,
+            historyMatches: bet.historySnapshot === stored.history_snapshot,
+            seed: stored.seed,
+            params,
+            filters: stored.filters,
+            repairRound: stored.filter_repair_round,
+            historySnapshot: stored.history_snapshot,
+            storedNumbers: stored.numbers,
+            regeneratedNumbers: bet.numbers
+        });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/results', async (req, res) => {
+    try {
+        const page = await listResults(req.query);
+        if (page.error) {
+            return res.status(400).json({ success: false, error: page.error });
+        }
+        res.json({ results: page.items, total: page.total, nextCursor: page.nextCursor });
+    } catch { res.status(500).json({ error: 'Erro' }); }
+});
+
+// `from`/`to` (AAAA-MM-DD) limitam pela data das apostas
+app.get('/api/stats', async (req, res) => {
+    try {
+        const parsed = parseListQuery({ game: req.query.game, from: req.query.from, to: req.query.to }, 'bets');
+        if (parsed.error) {
+            return res.status(400).json({ success: false, error: parsed.error });
+        }
+        res.json(await computeStats(parsed.filters));
+    } catch { res.status(500).json({ error: 'Erro' }); }
+});
+
+// Só apostas simples do jogo entram na comparação com a hipergeométrica
+app.get('/api/stats/significance', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const alpha = parseFloat(req.query.alpha) || 0.05;
+        const { type } = req.query;
+        const params = [game.id, game.picks];
+        const conditions = ['game = $1', 'array_length(numbers, 1) = $2', 'result_numbers IS NOT NULL'];
+        if (type) addCondition(conditions, params, 'type = ?', type);
+        const result = await pool.query(`SELECT strategy, matches, prize FROM bets WHERE ${conditions.join(' AND ')}`, params);
+        
+        const betsByStrategy = Object.fromEntries(Object.keys(STRATEGIES).map(name => [name, []]));
+        result.rows.forEach(bet => {
+            if (betsByStrategy[bet.strategy]) betsByStrategy[bet.strategy].push(bet);
+        });
+        
+        res.json({ game: game.id, alpha, type: type || 'all', strategies: analyzeStrategySignificance(game, betsByStrategy, { alpha }) });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ error: 'Erro' });
+    }
+});
+
+// Estatísticas dos números nos últimos `window` concursos (window=0: histórico inteiro)
+app.get('/api/analytics', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ error: GAME_ERROR });
+        }
+        const window = req.query.window === undefined ? 100 : parseInt(req.query.window);
+        const top = Math.min(Math.max(parseInt(req.query.top) || 10, 1), 100);
+        
+        if (Number.isNaN(window) || window < 0) {
+            return res.status(400).json({ error: 'window deve ser um número inteiro >= 0' });
+        }
+        
+        // Um concurso a mais para contar as repetições do primeiro da janela
+        const result = window > 0
+            ? await pool.query('SELECT contest_number, numbers FROM results WHERE game = $1 ORDER BY contest_number DESC LIMIT $2', [game.id, window + 1])
+            : await pool.query('SELECT contest_number, numbers FROM results WHERE game = $1 ORDER BY contest_number DESC', [game.id]);
+        const rows = result.rows.reverse();
+        const previous = window > 0 && rows.length > window ? rows.shift().numbers : null;
+        
+        res.json({ game: game.id, window, ...analyzeResults(game, rows, { top, previous }) });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ error: 'Erro' });
+    }
+});
+
+// Situação do jogo; a banca (budget) é a mesma para todos
+app.get('/api/status', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const pending = await pool.query('SELECT COUNT(*) FROM bets WHERE game = $1 AND result_numbers IS NULL', [game.id]);
+        const lastBet = await pool.query('SELECT date FROM bets WHERE game = $1 ORDER BY date DESC LIMIT 1', [game.id]);
+        const lastResult = await pool.query('SELECT date, contest_number, balance FROM results WHERE game = $1 ORDER BY date DESC LIMIT 1', [game.id]);
+        
+        // Saldo total de todos os resultados do jogo
+        const totalBalanceQuery = await pool.query('SELECT COALESCE(SUM(balance), 0) as total_balance FROM results WHERE game = $1', [game.id]);
+        const totalBalance = parseFloat(totalBalanceQuery.rows[0].total_balance);
+        const nextDraw = await getBetTarget(game);
+        const budget = await budgetStatus();
+        
+        res.json({
+            status: 'active',
+            game: game.id,
+            pendingBets: parseInt(pending.rows[0].count),
+            lastBetDate: lastBet.rows[0]?.date || null,
+            lastResultDate: lastResult.rows[0]?.date || null,
+            lastContest: lastResult.rows[0]?.contest_number || null,
+            lastBalance: lastResult.rows[0]?.balance || 0,
+            totalBalance: totalBalance,
+            nextDrawDate: nextDraw.drawDate,
+            nextContest: nextDraw.targetContest,
+            budget: {
+                balance: budget.balance,
+                spentToday: budget.spentToday,
+                spentMonth: budget.spentMonth,
+                netMonth: budget.netMonth,
+                dailyRemaining: budget.dailyRemaining,
+                monthlyRemaining: budget.monthlyRemaining,
+                remaining: budget.remaining,
+                limit: budget.limit,
+                blocked: budget.blocked
+            }
+        });
+    } catch { res.status(500).json({ error: 'Erro' }); }
+});
+
+app.get('/api/pricing', (req, res) => {
+    const game = requestGame(req);
+    if (!game) {
+        return res.status(400).json({ success: false, error: GAME_ERROR });
+    }
+    res.json({ game: game.id, betCost: game.price, priceTable: game.priceTable });
+});
+
+// Parâmetros com os padrões e limites do jogo
+app.get('/api/strategies', (req, res) => {
+    const game = requestGame(req);
+    if (!game) {
+        return res.status(400).json({ success: false, error: GAME_ERROR });
+    }
+    res.json(Object.entries(STRATEGIES).map(([id, strategy]) => ({
+        id,
+        label: strategy.label,
+        description: strategy.description,
+        icon: strategy.icon,
+        color: strategy.color,
+        params: strategy.params(game)
+    })));
+});
+
+app.post('/api/insert-result', async (req, res) => {
+    try {
+        const { contestNumber, numbers, date, prizes, winners, accumulated } = req.body;
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        
+        console.log(`✍️ INSERÇÃO MANUAL DE RESULTADO (${game.label})`);
+        
+        if (!contestNumber || !Array.isArray(numbers) || numbers.length !== game.drawn) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Dados inválidos. Precisa de contestNumber e ${game.drawn} números únicos.` 
+            });
+        }
+        
+        if (new Set(numbers).size !== game.drawn) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Os ${game.drawn} números devem ser únicos!` 
+            });
+        }
+        
+        const drawNumbers = numbers.map(n => parseInt(n)).sort((a, b) => a - b);
+        const invalid = validateDrawNumbers(game, drawNumbers) ||
+            (!Number.isInteger(parseInt(contestNumber)) || parseInt(contestNumber) < 1 ? 'contestNumber deve ser um número de concurso' : null) ||
+            (date && !isCalendarDate(date) ? 'date deve ser uma data válida no formato AAAA-MM-DD' : null);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        
+        const resultData = {
+            contestNumber: parseInt(contestNumber),
+            numbers: drawNumbers,
+            date: date || await drawDateForContest(game, parseInt(contestNumber)) || lastDrawDate(game),
+            ...buildPrizeData(game, { prizes, winners, accumulated }),
+            source: 'manual'
+        };
+        
+        const checkResult = await checkBetsWithResult(game, resultData);
+        
+        if (checkResult.success) {
+            res.json({ 
+                success: true, 
+                message: checkResult.alreadyChecked
+                    ? `ℹ️ Concurso ${resultData.contestNumber} já conferido`
+                    : `✅ ${checkResult.checked} apostas conferidas!`,
+                alreadyChecked: !!checkResult.alreadyChecked,
+                checked: checkResult.checked,
+                totalPrize: checkResult.totalPrize,
+                balance: checkResult.balance
+            });
+        } else {
+            res.status(500).json({ 
+                success: false, 
+                error: checkResult.error || 'Erro ao conferir apostas' 
+            });
+        }
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Correção de um resultado digitado errado: as apostas do concurso são conferidas de novo
+app.put('/api/results/:contest', requireRole('admin'), async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const contestNumber = parseInt(req.params.contest);
+        const existing = await pool.query('SELECT * FROM results WHERE game = $1 AND contest_number = $2', [game.id, contestNumber]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ success: false, error: `Concurso ${contestNumber} não encontrado` });
+        }
+        
+        const result = existing.rows[0];
+        const body = req.body || {};
+        const numbers = body.numbers === undefined ? result.numbers : body.numbers;
+        const invalid = validateDrawNumbers(game, numbers) ||
+            (body.date !== undefined && !isCalendarDate(body.date) ? 'date deve ser uma data válida no formato AAAA-MM-DD' : null);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        
+        const resultData = {
+            contestNumber,
+            numbers: [...numbers].sort((a, b) => a - b),
+            date: body.date || toDateString(result.date),
+            ...mergePrizeData(game, result, body),
+            source: result.source
+        };
+        const corrected = await correctResult(game, contestNumber, resultData);
+        if (!corrected) {
+            return res.status(404).json({ success: false, error: `Concurso ${contestNumber} não encontrado` });
+        }
+        
+        const before = resultSnapshot(corrected.before);
+        const after = { numbers: resultData.numbers, date: resultData.date, totalPrize: corrected.totalPrize, betsChecked: corrected.checked };
+        await recordAudit(req.user, `Resultado do concurso ${contestNumber} da ${game.label} corrigido`, {
+            status: 200,
+            details: { game: game.id, contestNumber, before, after, betsUnscored: corrected.unscored },
+            ip: req.ip
+        });
+        console.log(`✏️ ${game.label} ${contestNumber} corrigido: ${corrected.unscored} apostas desfeitas, ${corrected.checked} conferidas de novo`);
+        res.json({
+            success: true,
+            game: game.id,
+            contestNumber,
+            before,
+            after,
+            betsUnscored: corrected.unscored,
+            betsChecked: corrected.checked,
+            totalPrize: corrected.totalPrize,
+            totalCost: corrected.totalCost,
+            balance: corrected.balance,
+            pools: corrected.pools
+        });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/api/results/:contest', requireRole('admin'), async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const contestNumber = parseInt(req.params.contest);
+        const deleted = await deleteResult(game, contestNumber);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: `Concurso ${contestNumber} não encontrado` });
+        }
+        
+        const before = resultSnapshot(deleted.before);
+        await recordAudit(req.user, `Resultado do concurso ${contestNumber} da ${game.label} excluído`, {
+            status: 200,
+            details: { game: game.id, contestNumber, before, betsUnscored: deleted.unscored },
+            ip: req.ip
+        });
+        console.log(`🗑️ ${game.label} ${contestNumber} excluído: ${deleted.unscored} apostas voltaram a pendentes`);
+        res.json({ success: true, game: game.id, contestNumber, before, betsUnscored: deleted.unscored });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Corrige a premiação de um concurso já conferido e recalcula prêmios das apostas e saldo
+app.put('/api/results/:contest/prizes', requireRole('admin'), async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const contestNumber = parseInt(req.params.contest);
+        const existing = await pool.query('SELECT * FROM results WHERE game = $1 AND contest_number = $2', [game.id, contestNumber]);
+        
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ success: false, error: `Concurso ${contestNumber} não encontrado` });
+        }
+        
+        const prizeData = mergePrizeData(game, existing.rows[0], req.body || {});
+        const recalculated = await updateResultPrizes(game, contestNumber, prizeData);
+        
+        console.log(`✏️ Premiação do concurso ${contestNumber} da ${game.label} corrigida: R$ ${recalculated.totalPrize.toFixed(2)}`);
+        res.json({ success: true, game: game.id, contestNumber, ...recalculated });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/force-check', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        console.log(`🔄 CONFERÊNCIA FORÇADA (${game.label})`);
+        const check = await checkNewContests(game);
+        
+        if (check.busy) {
+            return res.status(409).json({ success: false, error: check.message });
+        }
+        
+        const totalChecked = check.contests.reduce((sum, c) => sum + c.checked, 0);
+        res.json({
+            success: true,
+            message: check.contests.length > 0
+                ? `✅ ${check.contests.length} concurso(s) conferido(s), ${totalChecked} apostas`
+                : `ℹ️ Nenhum concurso novo disponível${check.lastContest ? ` (último: #${check.lastContest})` : ''}`,
+            game: game.id,
+            lastContest: check.lastContest,
+            contests: check.contests
+        });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/backtest', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const last = await pool.query('SELECT MIN(contest_number) AS first_contest, MAX(contest_number) AS last_contest FROM results WHERE game = $1', [game.id]);
+        const { first_contest: firstContest, last_contest: lastContest } = last.rows[0];
+        
+        if (!lastContest) {
+            return res.status(400).json({ success: false, error: 'Sem resultados para o backtest' });
+        }
+        
+        const toContest = parseInt(body.toContest) || lastContest;
+        const fromContest = parseInt(body.fromContest) || Math.max(firstContest, toContest - 99);
+        const strategies = body.strategies || Object.keys(STRATEGIES);
+        const betsPerContest = Math.max(1, parseInt(body.betsPerContest) || 1);
+        const seed = body.seed ?? newSeed();
+        
+        if (!Array.isArray(strategies) || strategies.length === 0) {
+            return res.status(400).json({ success: false, error: 'strategies deve ser uma lista de estratégias' });
+        }
+        const unknown = strategies.filter(name => !STRATEGIES[name]);
+        if (unknown.length > 0) {
+            return res.status(400).json({ success: false, error: `Estratégias desconhecidas: ${unknown.join(', ')}` });
+        }
+        if (betsPerContest > BACKTEST_MAX_BETS_PER_CONTEST) {
+            return res.status(400).json({ success: false, error: `Máximo de ${BACKTEST_MAX_BETS_PER_CONTEST} apostas por concurso` });
+        }
+        const invalidParams = validateStrategyOverrides(game, body.params);
+        if (invalidParams) {
+            return res.status(400).json({ success: false, error: invalidParams });
+        }
+        if (fromContest > toContest) {
+            return res.status(400).json({ success: false, error: 'fromContest deve ser menor ou igual a toContest' });
+        }
+        if (toContest - fromContest + 1 > BACKTEST_MAX_CONTESTS) {
+            return res.status(400).json({ success: false, error: `Máximo de ${BACKTEST_MAX_CONTESTS} concursos por backtest` });
+        }
+        if ((toContest - fromContest + 1) * strategies.length * betsPerContest > BACKTEST_MAX_BETS) {
+            return res.status(400).json({
+                success: false,
+                error: `Máximo de ${BACKTEST_MAX_BETS} apostas simuladas por backtest (concursos × estratégias × betsPerContest)`
+            });
+        }
+        
+        console.log(`🧪 BACKTEST ${game.label}: concursos ${fromContest}-${toContest}, semente ${seed}`);
+        const backtest = await runBacktest(game, { fromContest, toContest, strategies, params: body.params, seed, betsPerContest });
+        res.json({ success: true, ...backtest });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-app.get('/api/bets', async (req, res) => {
+// Corpo JSON ({ data, format, mode }) ou o arquivo CSV/JSON cru (mode na query string)
+app.post('/api/import-results', requireRole('admin'), express.text({ type: ['text/*', 'application/csv'], limit: '20mb' }), async (req, res) => {
+    try {
+        const isRaw = typeof req.body === 'string';
+        const content = isRaw ? req.body : req.body.data;
+        const format = isRaw ? req.query.format : req.body.format;
+        const mode = (isRaw ? req.query.mode : req.body.mode) || 'skip';
+        const game = gameFrom(isRaw ? req.query.game : req.body.game);
+        
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        if (!content || (typeof content === 'string' && !content.trim())) {
+            return res.status(400).json({ success: false, error: 'Envie o histórico em CSV ou JSON' });
+        }
+        if (!['skip', 'update'].includes(mode)) {
+            return res.status(400).json({ success: false, error: 'mode deve ser "skip" ou "update"' });
+        }
+        
+        let entries;
+        try {
+            entries = parseResultsFile(content, format);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: `Arquivo inválido: ${error.message}` });
+        }
+        
+        console.log(`📥 IMPORTAÇÃO ${game.label}: ${entries.length} concursos (${mode})`);
+        const summary = await importResults(game, entries, { mode });
+        console.log(`✅ ${summary.inserted} novos, ${summary.updated} atualizados, ${summary.skipped} ignorados, ${summary.errors.length} com erro`);
+        res.json({ success: true, game: game.id, ...summary });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Mesma geração do cron: clicar de novo no mesmo dia não duplica as apostas
+app.post('/api/generate-bets', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const run = await runDailyBets(game, getTodayBrazil(), 'manual');
+        res.json({ success: run.status !== 'failed', run: jobRunView(run) });
+    } catch { res.status(500).json({ error: 'Erro' }); }
+});
+
+app.post('/api/generate-custom', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const { targetContest, params = {}, seed, filters = null, betSize = game.picks, poolId = null, allocation } = req.body;
+        let { distribution } = req.body;
+        
+        const invalidParams = validateStrategyOverrides(game, params) || validateFilters(game, filters)
+            || (allocation !== undefined ? validateAllocation(allocation) : null);
+        if (invalidParams) {
+            return res.status(400).json({ success: false, error: invalidParams });
+        }
+        if (!Number.isInteger(betSize) || betSize < game.betSizes.min || betSize > game.betSizes.max) {
+            return res.status(400).json({ success: false, error: `betSize deve ser de ${game.betSizes.min} a ${game.betSizes.max} números` });
+        }
+        if (allocation === undefined && (!distribution || typeof distribution !== 'object')) {
+            return res.status(400).json({ success: false, error: 'Informe distribution (apostas por estratégia) ou allocation' });
+        }
+        if (allocation === undefined) {
+            const unknown = Object.keys(distribution).filter(name => !STRATEGIES[name]);
+            if (unknown.length > 0) {
+                return res.status(400).json({ success: false, error: `Estratégias desconhecidas: ${unknown.join(', ')}` });
+            }
+            const invalidCount = Object.keys(distribution).find(name => !Number.isInteger(distribution[name]) || distribution[name] < 0);
+            if (invalidCount) {
+                return res.status(400).json({ success: false, error: `distribution.${invalidCount} deve ser um inteiro maior ou igual a zero` });
+            }
+        }
+        if (poolId !== null && (await pool.query('SELECT id FROM pools WHERE id = $1', [poolId])).rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Bolão não encontrado' });
+        }
+        
+        // Alocação adaptativa: o bandido decide a distribuição a partir do histórico
+        let decision = null;
+        if (allocation !== undefined) {
+            const settings = resolveAllocation(game, allocation, betSize);
+            if (settings.total === 0) {
+                return res.status(400).json({ success: false, error: `amount não paga uma aposta de ${betSize} números (R$ ${betPrice(game, betSize).toFixed(2)})` });
+            }
+            decision = await createAllocation(game, settings, {
+                source: 'custom',
+                seed: seed !== undefined ? hashSeed(`${seed}:allocation`) : newSeed()
+            });
+            distribution = decision.allocation;
+        }
+        
+        const wanted = Object.keys(distribution).filter(name => distribution[name] > 0 && STRATEGIES[name]);
+        const requested = wanted.reduce((sum, name) => sum + distribution[name], 0);
+        // Bolão paga com as cotas; o resto passa pelos limites da banca
+        const budget = poolId === null
+            ? applyBudget(await budgetStatus(), requested, betPrice(game, betSize))
+            : { requested, allowed: requested, reason: null };
+        if (budget.reason) notifyBudgetLimit(budget, 'Geração personalizada');
+        if (requested > 0 && budget.allowed === 0) {
+            return res.status(422).json({ success: false, error: budget.reason, budget });
+        }
+        const counts = scaleDistribution(Object.fromEntries(wanted.map(name => [name, distribution[name]])), budget.allowed);
+        const selected = wanted.filter(name => counts[name] > 0);
+        const strategyParams = Object.fromEntries(selected.map(name => [name, resolveStrategyParams(game, name, params[name])]));
+        const history = await loadHistoryOrEmpty(game, requiredHistory(Object.values(strategyParams), filters));
+        const today = getTodayBrazil();
+        const target = targetContest
+            ? { targetContest: parseInt(targetContest), drawDate: await drawDateForContest(game, parseInt(targetContest)) }
+            : await getBetTarget(game);
+        const exclusions = await loadFilterExclusions(game, filters, today);
+        const generated = [];
+        const unmet = [];
+        
+        for (const name of selected) {
+            for (let i = 0; i < counts[name]; i++) {
+                // Com semente no pedido, o lote inteiro pode ser refeito
+                const betSeed = seed !== undefined ? hashSeed(`${seed}:${name}:${i}`) : newSeed();
+                let bet;
+                try {
+                    bet = generateFilteredBet(game, name, strategyParams[name], history, betSeed, filters, exclusions, betSize);
+                } catch (error) {
+                    unmet.push({ strategy: name, index: i, error: error.message });
+                    continue;
+                }
+                generated.push(await saveBet(game, name, bet, { type: 'manual', date: today, target, poolId, allocationId: decision ? decision.id : null }));
+                if (filters && filters.excludeTodayBets) exclusions.add(betKey(bet.numbers));
+            }
+        }
+        
+        if (generated.length === 0 && unmet.length > 0) {
+            return res.status(422).json({ success: false, error: 'Nenhuma aposta atendeu aos filtros', unmet, budget });
+        }
+        if (generated.length > 0) notifyBetsGenerated(generated, 'Geração personalizada');
+        res.json({ success: true, game: game.id, generated: generated.length, bets: generated, unmet, budget, allocation: decision });
+    } catch (error) {
+        console.error('Erro:', error);
+        res.status(500).json({ error: 'Erro' });
+    }
+});
+
+// Decisões do alocador com o resultado das apostas que saíram de cada uma (?game&source=daily|custom&limit=20)
+app.get('/api/allocations', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const { source } = req.query;
+        if (source !== undefined && !['daily', 'custom'].includes(source)) {
+            return res.status(400).json({ success: false, error: 'source deve ser daily ou custom' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 200);
+        const result = await pool.query(
+            `SELECT a.*, COUNT(b.id) AS bets, COUNT(b.result_numbers) AS checked,
+                    COUNT(b.id) FILTER (WHERE b.matches >= $1) AS hits,
+                    COALESCE(SUM(b.cost), 0) AS cost, COALESCE(SUM(b.prize), 0) AS prize
+             FROM allocation_decisions a LEFT JOIN bets b ON b.allocation_id = a.id
+             WHERE a.game = $2 AND ($3::text IS NULL OR a.source = $3)
+             GROUP BY a.id ORDER BY a.id DESC LIMIT $4`,
+            [game.tiers[0], game.id, source || null, limit]
+        );
+        res.json(result.rows.map(row => ({
+            ...row,
+            run_date: toDateString(row.run_date),
+            min_share: parseFloat(row.min_share),
+            bets: parseInt(row.bets),
+            checked: parseInt(row.checked),
+            hits: parseInt(row.hits),
+            cost: parseFloat(row.cost),
+            prize: parseFloat(row.prize)
+        })));
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Desdobramento: calcula (e com save=true grava) as apostas simples do grupo
+app.post('/api/closings', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const { pool: numbers, hits = game.picks - 1, drawn = game.drawn, save = false, targetContest, poolId = null } = req.body;
+        const invalid = validateClosing(game, { pool: numbers, hits, drawn });
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        if (poolId !== null && (await pool.query('SELECT id FROM pools WHERE id = $1', [poolId])).rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Bolão não encontrado' });
+        }
+        
+        let closing;
+        try {
+            closing = buildClosing(game, numbers, hits, drawn);
+        } catch (error) {
+            return res.status(422).json({ success: false, error: error.message });
+        }
+        
+        const cost = closing.bets.length * game.price;
+        const response = {
+            success: true,
+            game: game.id,
+            ...closing,
+            count: closing.bets.length,
+            cost,
+            fullCost: closing.fullCount * game.price,
+            saved: []
+        };
+        
+        if (save) {
+            // Cortar o desdobramento quebraria a garantia: ou cabe inteiro ou é recusado
+            if (poolId === null) {
+                const budget = applyBudget(await budgetStatus(), closing.bets.length, game.price, { scalable: false });
+                if (budget.allowed === 0) {
+                    notifyBudgetLimit(budget, 'Desdobramento');
+                    return res.status(422).json({ success: false, error: budget.reason, budget });
+                }
+            }
+            const today = getTodayBrazil();
+            const target = targetContest
+                ? { targetContest: parseInt(targetContest), drawDate: await drawDateForContest(game, parseInt(targetContest)) }
+                : await getBetTarget(game);
+            const params = { pool: closing.pool, hits, drawn };
+            for (const betNumbers of closing.bets) {
+                response.saved.push(await saveBet(game, CLOSING_STRATEGY, {
+                    numbers: betNumbers, seed: null, params, filters: null, repairRound: null,
+                    historyContest: null, historySnapshot: null
+                }, { type: 'manual', date: today, target, poolId }));
+            }
+            notifyBetsGenerated(response.saved, 'Desdobramento');
+        }
+        
+        res.json(response);
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Aposta simples escolhida à mão para um concurso que ainda não saiu
+app.post('/api/bets/picked', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const { numbers, targetContest = null, pickedBy = null, poolId = null } = req.body;
+        const invalid = validatePickedBet(game, { numbers, targetContest, pickedBy });
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        if (targetContest !== null && (await pool.query('SELECT 1 FROM results WHERE game = $1 AND contest_number = $2', [game.id, targetContest])).rows.length > 0) {
+            return res.status(400).json({ success: false, error: `Concurso ${targetContest} já foi sorteado` });
+        }
+        if (poolId !== null && (await pool.query('SELECT id FROM pools WHERE id = $1', [poolId])).rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Bolão não encontrado' });
+        }
+        if (poolId === null) {
+            const budget = applyBudget(await budgetStatus(), 1, game.price);
+            if (budget.allowed === 0) {
+                notifyBudgetLimit(budget, 'Aposta escolhida');
+                return res.status(422).json({ success: false, error: budget.reason, budget });
+            }
+        }
+        
+        const target = targetContest !== null
+            ? { targetContest, drawDate: await drawDateForContest(game, targetContest) }
+            : await getBetTarget(game);
+        const bet = await saveBet(game, PICKED_STRATEGY, {
+            numbers: [...numbers].sort((a, b) => a - b), seed: null, params: {}, filters: null, repairRound: null,
+            historyContest: null, historySnapshot: null
+        }, {
+            type: PICKED_TYPE,
+            date: getTodayBrazil(),
+            target,
+            poolId,
+            pickedBy: (pickedBy && pickedBy.trim()) || (req.user ? req.user.name : null)
+        });
+        console.log(`✍️ Aposta escolhida para o concurso ${target.targetContest}: ${bet.numbers.join(', ')}`);
+        notifyBetsGenerated([bet], 'Aposta escolhida');
+        res.json({ success: true, bet });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Conferidor: ?game=&numbers=1,2,...,15&fromContest=&toContest=
+app.get('/api/conferidor', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        const numbers = parseNumberList(req.query.numbers);
+        const invalid = validateDrawNumbers(game, numbers);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        const range = {};
+        for (const key of ['fromContest', 'toContest']) {
+            if (req.query[key] === undefined || req.query[key] === '') continue;
+            const value = Number(req.query[key]);
+            if (!Number.isInteger(value) || value < 1) {
+                return res.status(400).json({ success: false, error: `${key} deve ser um número de concurso` });
+            }
+            range[key] = value;
+        }
+        if (range.fromContest && range.toContest && range.fromContest > range.toContest) {
+            return res.status(400).json({ success: false, error: 'fromContest deve ser menor ou igual a toContest' });
+        }
+        
+        res.json({ success: true, ...await checkAgainstHistory(game, numbers, range) });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/bankroll', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+        const ledger = await pool.query('SELECT * FROM bankroll_ledger ORDER BY id DESC LIMIT $1', [limit]);
+        res.json({ success: true, budget: await budgetStatus(), ledger: ledger.rows });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Depósitos e retiradas manuais; apostas e prêmios entram sozinhos
+for (const [route, kind, sign] of [['deposits', 'deposit', 1], ['withdrawals', 'withdrawal', -1]]) {
+    app.post(`/api/bankroll/${route}`, async (req, res) => {
+        try {
+            const { amount, description = null } = req.body;
+            if (typeof amount !== 'number' || !(amount > 0)) {
+                return res.status(400).json({ success: false, error: 'amount deve ser um valor maior que zero' });
+            }
+            const entry = await recordBankroll(kind, sign * amount, { description });
+            res.json({ success: true, entry, budget: await budgetStatus() });
+        } catch (error) {
+            console.error('❌ Erro:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    });
+}
+
+app.get('/api/bankroll/settings', async (req, res) => {
+    try {
+        res.json(await loadBudgetSettings());
+    } catch { res.status(500).json({ error: 'Erro' }); }
+});
+
+app.put('/api/bankroll/settings', requireRole('admin'), async (req, res) => {
+    try {
+        const changes = req.body || {};
+        const invalid = validateBudgetSettings(changes);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        
+        const keys = Object.keys(changes);
+        if (keys.length > 0) {
+            await pool.query(
+                `UPDATE bankroll_settings SET ${keys.map((key, i) => `${BUDGET_SETTINGS[key]} = $${i + 1}`).join(', ')}, updated_at = NOW() WHERE id = 1`,
+                keys.map(key => changes[key])
+            );
+        }
+        res.json({ success: true, settings: await loadBudgetSettings(), budget: await budgetStatus() });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/pools', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT p.*,
+                (SELECT COUNT(*) FROM pool_participants pp WHERE pp.pool_id = p.id) AS participants,
+                (SELECT COALESCE(SUM(shares), 0) FROM pool_participants pp WHERE pp.pool_id = p.id) AS shares,
+                (SELECT COUNT(*) FROM bets b WHERE b.pool_id = p.id) AS bets,
+                (SELECT COALESCE(SUM(prize), 0) FROM bets b WHERE b.pool_id = p.id) AS prizes
+             FROM pools p ORDER BY p.id DESC`
+        );
+        res.json(result.rows);
+    } catch { res.status(500).json({ error: 'Erro' }); }
+});
+
+app.post('/api/pools', async (req, res) => {
+    try {
+        const { name, organizer = null, sharePrice, feePercent = 0 } = req.body;
+        const invalid = validatePool({ name, sharePrice, feePercent });
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        
+        const created = await pool.query(
+            'INSERT INTO pools (name, organizer, share_price, fee_percent) VALUES ($1, $2, $3, $4) RETURNING *',
+            [name.trim(), organizer, sharePrice, feePercent]
+        );
+        res.json({ success: true, pool: created.rows[0] });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Entrar (ou comprar mais cotas): registra o pagamento no extrato
+app.post('/api/pools/:id/join', async (req, res) => {
+    try {
+        const poolId = parseInt(req.params.id);
+        const { name, shares = 1 } = req.body;
+        if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+            return res.status(400).json({ success: false, error: 'Informe o nome do participante' });
+        }
+        if (!Number.isInteger(shares) || shares < 1) {
+            return res.status(400).json({ success: false, error: 'shares deve ser um inteiro maior que zero' });
+        }
+        
+        // A linha do bolão fica travada: a divisão de um concurso em conferência espera a entrada terminar, ou vice-versa
+        const joined = await withTransaction(async db => {
+            const found = await db.query('SELECT * FROM pools WHERE id = $1 FOR UPDATE', [poolId]);
+            if (found.rows.length === 0) return { status: 404, error: 'Bolão não encontrado' };
+            // Com apostas já conferidas, novas cotas mudariam a divisão de prêmios passados
+            const checked = await db.query('SELECT 1 FROM bets WHERE pool_id = $1 AND result_numbers IS NOT NULL LIMIT 1', [poolId]);
+            if (checked.rows.length > 0) return { status: 409, error: 'Bolão já tem apostas conferidas; crie um novo para entrar' };
+            
+            const participant = await db.query(
+                `INSERT INTO pool_participants (pool_id, name, shares) VALUES ($1, $2, $3)
+                 ON CONFLICT (pool_id, name) DO UPDATE SET shares = pool_participants.shares + EXCLUDED.shares
+                 RETURNING *`,
+                [poolId, name.trim(), shares]
+            );
+            const amount = roundCents(shares * parseFloat(found.rows[0].share_price));
+            await db.query(
+                `INSERT INTO pool_ledger (pool_id, participant_id, kind, amount, description) VALUES ($1, $2, 'payment', $3, $4)`,
+                [poolId, participant.rows[0].id, amount, `Compra de ${shares} cota(s)`]
+            );
+            return { participant: participant.rows[0], amount };
+        });
+        if (joined.error) {
+            return res.status(joined.status).json({ success: false, error: joined.error });
+        }
+        
+        res.json({ success: true, participant: joined.participant, paid: joined.amount });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Coloca apostas pendentes já existentes no bolão
+app.post('/api/pools/:id/bets', async (req, res) => {
+    try {
+        const poolId = parseInt(req.params.id);
+        const { betIds } = req.body;
+        if (!Array.isArray(betIds) || betIds.length === 0 || betIds.some(id => !Number.isInteger(id))) {
+            return res.status(400).json({ success: false, error: 'Informe betIds (lista de ids de apostas)' });
+        }
+        if ((await pool.query('SELECT id FROM pools WHERE id = $1', [poolId])).rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Bolão não encontrado' });
+        }
+        
+        // Aposta própria que vira do bolão passa a ser paga pelas cotas: a banca recebe de volta o que foi lançado
+        const added = await withTransaction(async db => {
+            const updated = await db.query(
+                `UPDATE bets b SET pool_id = $1
+                 FROM (SELECT id, pool_id FROM bets
+                       WHERE id = ANY($2) AND result_numbers IS NULL AND (pool_id IS NULL OR pool_id = $1)
+                       FOR UPDATE) previous
+                 WHERE b.id = previous.id
+                 RETURNING b.id, b.game, b.date, previous.pool_id AS previous_pool`,
+                [poolId, betIds]
+            );
+            for (const bet of updated.rows.filter(row => row.previous_pool === null)) {
+                const charged = await db.query(`SELECT COALESCE(-SUM(amount), 0) AS amount FROM bankroll_ledger WHERE kind = 'bet' AND bet_id = $1`, [bet.id]);
+                const amount = parseFloat(charged.rows[0].amount);
+                if (amount > 0) {
+                    await recordBankroll('bet', amount, {
+                        betId: bet.id, game: bet.game, date: toDateString(bet.date), description: `Aposta #${bet.id} passou para o bolão #${poolId}`
+                    }, db);
+                }
+            }
+            return updated.rows.map(row => row.id);
+        });
+        res.json({ success: true, added, skipped: betIds.filter(id => !added.includes(id)) });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/pools/:id/statement', async (req, res) => {
+    try {
+        const statement = await poolStatement(parseInt(req.params.id));
+        if (!statement) {
+            return res.status(404).json({ success: false, error: 'Bolão não encontrado' });
+        }
+        res.json({ success: true, ...statement });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Volantes das apostas pendentes do dia (`date`, padrão hoje) em HTML para imprimir ou em PDF
+app.get('/api/export/slips', async (req, res) => {
+    try {
+        const game = requestGame(req);
+        const date = req.query.date || getTodayBrazil();
+        const format = req.query.format || 'html';
+        if (!game) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        if (!isCalendarDate(date)) {
+            return res.status(400).json({ success: false, error: 'date deve ser uma data válida no formato AAAA-MM-DD' });
+        }
+        if (!['html', 'pdf'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format deve ser html ou pdf' });
+        }
+        
+        const slips = await pendingSlips(game, date);
+        if (format === 'pdf') {
+            res.set('Content-Disposition', `attachment; filename="volantes-${game.id}-${date}.pdf"`);
+            return res.type('application/pdf').send(renderSlipsPdf(game, date, slips));
+        }
+        res.type('html').send(renderSlipsHtml(game, date, slips));
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// bets, results ou stats em CSV ou JSON, com os filtros das listagens (game, from/to, strategy, type...)
+app.get('/api/export/:dataset', async (req, res) => {
+    try {
+        const { dataset } = req.params;
+        const format = req.query.format || 'json';
+        if (!CSV_COLUMNS[dataset]) {
+            return res.status(404).json({ success: false, error: `Exportação desconhecida: use ${Object.keys(CSV_COLUMNS).join(', ')}` });
+        }
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format deve ser csv ou json' });
+        }
+        
+        const exported = await exportRows(dataset, req.query);
+        if (exported.error) {
+            return res.status(400).json({ success: false, error: exported.error });
+        }
+        const game = gameFrom(req.query.game);
+        const period = [req.query.from, req.query.to].filter(Boolean).join('_a_') || 'tudo';
+        res.set('Content-Disposition', `attachment; filename="${dataset}-${game.id}-${period}.${format}"`);
+        if (format === 'csv') return res.type('text/csv').send(toCsv(CSV_COLUMNS[dataset](game), exported.rows));
+        res.json(exported.data);
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Backup completo (inclui usuários e auditoria); restaura em outra instância com o mesmo esquema
+app.get('/api/backup', requireRole('admin'), async (req, res) => {
+    try {
+        const backup = await createBackup();
+        res.set('Content-Disposition', `attachment; filename="lotofacil-backup-${getTodayBrazil()}.json"`);
+        res.json(backup);
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/backup/restore', requireRole('admin'), async (req, res) => {
+    try {
+        if (req.query.confirm !== 'true') {
+            return res.status(400).json({ success: false, error: 'A restauração apaga todos os dados atuais: repita com ?confirm=true' });
+        }
+        const restored = await restoreBackup(req.body);
+        if (restored.error) {
+            return res.status(400).json({ success: false, error: restored.error });
+        }
+        console.log(`♻️ Backup de ${restored.createdAt} restaurado`);
+        res.json({ success: true, ...restored });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== USERS ====================
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ authenticated: !!req.user, user: req.user, authDisabled: AUTH.disabled, publicRead: AUTH.publicRead });
+});
+
+app.get('/api/users', requireRole('admin'), async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM bets ORDER BY date DESC, id DESC LIMIT 200');
+        const result = await pool.query('SELECT id, name, role, active, last_used_at, created_at FROM users ORDER BY id');
         res.json(result.rows);
     } catch { res.status(500).json({ error: 'Erro' }); }
 });
 
-app.get('/api/results', async (req, res) => {
+// O token só aparece nesta resposta
+app.post('/api/users', requireRole('admin'), async (req, res) => {
     try {
-        const result = await pool.query('SELECT * FROM results ORDER BY date DESC LIMIT 50');
-        res.json(result.rows);
-    } catch { res.status(500).json({ error: 'Erro' }); }
+        const { name, role } = req.body;
+        const invalid = validateUser({ name, role });
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        const exists = await pool.query('SELECT id FROM users WHERE name = $1', [name.trim()]);
+        if (exists.rows.length > 0) {
+            return res.status(409).json({ success: false, error: 'Já existe um usuário com esse nome' });
+        }
+        res.json({ success: true, ...(await createUser(name.trim(), role)) });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
-app.get('/api/stats', async (req, res) => {
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
     try {
-        const strategies = ['weighted', 'balanced', 'moderate', 'distributed', 'intelligent', 'random'];
-        const stats = { all: {}, auto: {}, manual: {} };
-        
-        for (const strategy of strategies) {
-            const result = await pool.query(
-                'SELECT COUNT(*) as total_bets, COALESCE(SUM(prize), 0) as total_prize, COALESCE(AVG(matches), 0) as avg_matches FROM bets WHERE strategy = $1 AND result_numbers IS NOT NULL',
-                [strategy]
-            );
-            const data = result.rows[0];
-            const totalCost = parseInt(data.total_bets) * PRICING.betCost;
-            const totalPrize = parseFloat(data.total_prize);
-            const netProfit = totalPrize - totalCost;
-            const roi = totalCost > 0 ? ((netProfit / totalCost) * 100).toFixed(2) : '0.00';
-            stats.all[strategy] = {
-                totalBets: parseInt(data.total_bets),
-                totalPrize, totalCost, netProfit, roi,
-                avgMatches: parseFloat(data.avg_matches).toFixed(2)
-            };
+        const { role, active } = req.body;
+        const invalid = validateUser({ role }, { partial: true }) ||
+            (active !== undefined && typeof active !== 'boolean' ? 'active deve ser true ou false' : null);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
         }
-        
-        for (const strategy of strategies) {
-            const result = await pool.query(
-                'SELECT COUNT(*) as total_bets, COALESCE(SUM(prize), 0) as total_prize, COALESCE(AVG(matches), 0) as avg_matches FROM bets WHERE strategy = $1 AND type = $2 AND result_numbers IS NOT NULL',
-                [strategy, 'auto']
-            );
-            const data = result.rows[0];
-            const totalCost = parseInt(data.total_bets) * PRICING.betCost;
-            const totalPrize = parseFloat(data.total_prize);
-            const netProfit = totalPrize - totalCost;
-            const roi = totalCost > 0 ? ((netProfit / totalCost) * 100).toFixed(2) : '0.00';
-            stats.auto[strategy] = {
-                totalBets: parseInt(data.total_bets),
-                totalPrize, totalCost, netProfit, roi,
-                avgMatches: parseFloat(data.avg_matches).toFixed(2)
-            };
+        const updated = await pool.query(
+            `UPDATE users SET role = COALESCE($1, role), active = COALESCE($2, active) WHERE id = $3
+             RETURNING id, name, role, active, last_used_at, created_at`,
+            [role || null, active === undefined ? null : active, parseInt(req.params.id)]
+        );
+        if (updated.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
         }
-        
-        for (const strategy of strategies) {
-            const result = await pool.query(
-                'SELECT COUNT(*) as total_bets, COALESCE(SUM(prize), 0) as total_prize, COALESCE(AVG(matches), 0) as avg_matches FROM bets WHERE strategy = $1 AND type = $2 AND result_numbers IS NOT NULL',
-                [strategy, 'manual']
-            );
-            const data = result.rows[0];
-            const totalCost = parseInt(data.total_bets) * PRICING.betCost;
-            const totalPrize = parseFloat(data.total_prize);
-            const netProfit = totalPrize - totalCost;
-            const roi = totalCost > 0 ? ((netProfit / totalCost) * 100).toFixed(2) : '0.00';
-            stats.manual[strategy] = {
-                totalBets: parseInt(data.total_bets),
-                totalPrize, totalCost, netProfit, roi,
-                avgMatches: parseFloat(data.avg_matches).toFixed(2)
-            };
+        res.json({ success: true, user: updated.rows[0] });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Gera um token novo; o anterior deixa de valer
+app.post('/api/users/:id/token', requireRole('admin'), async (req, res) => {
+    try {
+        const token = newToken();
+        const updated = await pool.query(
+            'UPDATE users SET token_hash = $1 WHERE id = $2 RETURNING id, name, role, active',
+            [hashToken(token), parseInt(req.params.id)]
+        );
+        if (updated.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Usuário não encontrado' });
         }
-        
-        res.json(stats);
+        res.json({ success: true, user: updated.rows[0], token });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+        const result = req.query.user
+            ? await pool.query('SELECT * FROM audit_log WHERE user_name = $1 ORDER BY id DESC LIMIT $2', [req.query.user, limit])
+            : await pool.query('SELECT * FROM audit_log ORDER BY id DESC LIMIT $1', [limit]);
+        res.json(result.rows);
     } catch { res.status(500).json({ error: 'Erro' }); }
 });
 
-app.get('/api/status', async (req, res) => {
+// Assinaturas de notificação: cada usuário vê e altera só as suas
+app.get('/api/notifications/events', (req, res) => {
+    res.json({
+        events: Object.entries(NOTIFICATION_EVENTS).map(([id, label]) => ({ id, label })),
+        channels: Object.entries(NOTIFICATION_CHANNELS).map(([id, channel]) => ({ id, label: channel.label, role: channel.role || 'viewer' })),
+        smtpConfigured: !!NOTIFY.smtp.host
+    });
+});
+
+app.get('/api/notifications/subscriptions', async (req, res) => {
     try {
-        const pending = await pool.query('SELECT COUNT(*) FROM bets WHERE result_numbers IS NULL');
-        const lastBet = await pool.query('SELECT date FROM bets ORDER BY date DESC LIMIT 1');
-        const lastResult = await pool.query('SELECT date, contest_number, balance FROM results ORDER BY date DESC LIMIT 1');
-        
-        // Saldo total de todos os resultados
-        const totalBalanceQuery = await pool.query('SELECT COALESCE(SUM(balance), 0) as total_balance FROM results');
-        const totalBalance = parseFloat(totalBalanceQuery.rows[0].total_balance);
-        
-        res.json({
-            status: 'active',
-            pendingBets: parseInt(pending.rows[0].count),
-            lastBetDate: lastBet.rows[0]?.date || null,
-            lastResultDate: lastResult.rows[0]?.date || null,
-            lastContest: lastResult.rows[0]?.contest_number || null,
-            lastBalance: lastResult.rows[0]?.balance || 0,
-            totalBalance: totalBalance
-        });
+        const result = await pool.query(
+            'SELECT * FROM notification_subscriptions WHERE user_id IS NOT DISTINCT FROM $1 ORDER BY id',
+            [req.user ? req.user.id : null]
+        );
+        res.json(result.rows);
     } catch { res.status(500).json({ error: 'Erro' }); }
 });
 
-app.get('/api/pricing', (req, res) => res.json(PRICING));
+app.post('/api/notifications/subscriptions', async (req, res) => {
+    try {
+        const { channel, target, events } = req.body;
+        const invalid = validateSubscription({ channel, target, events }) || NOTIFICATION_CHANNELS[channel].validate(target.trim());
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        const forbidden = channelPermissionError(req.user, channel);
+        if (forbidden) {
+            return res.status(403).json({ success: false, error: forbidden });
+        }
+        const created = await pool.query(
+            `INSERT INTO notification_subscriptions (user_id, channel, target, events)
+             VALUES ($1, $2, $3, $4) RETURNING *`,
+            [req.user ? req.user.id : null, channel, target.trim(), [...new Set(events)]]
+        );
+        res.json({ success: true, subscription: created.rows[0] });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-app.post('/api/insert-result', async (req, res) => {
+app.put('/api/notifications/subscriptions/:id', async (req, res) => {
     try {
-        const { contestNumber, numbers, date } = req.body;
-        
-        console.log('✍️ INSERÇÃO MANUAL DE RESULTADO');
-        
-        if (!contestNumber || !numbers || numbers.length !== 15) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Dados inválidos. Precisa de contestNumber e 15 números únicos.' 
-            });
+        const { target, events, active } = req.body;
+        const found = await pool.query(
+            'SELECT * FROM notification_subscriptions WHERE id = $1 AND user_id IS NOT DISTINCT FROM $2',
+            [parseInt(req.params.id), req.user ? req.user.id : null]
+        );
+        if (found.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Assinatura não encontrada' });
         }
-        
-        if (new Set(numbers).size !== 15) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'Os 15 números devem ser únicos!' 
-            });
+        const subscription = found.rows[0];
+        const forbidden = channelPermissionError(req.user, subscription.channel);
+        if (forbidden) {
+            return res.status(403).json({ success: false, error: forbidden });
         }
-        
-        const resultData = {
-            contestNumber: parseInt(contestNumber),
-            numbers: numbers.map(n => parseInt(n)).sort((a, b) => a - b),
-            date: date || getTodayBrazil(),
-            prizes: PRIZE_VALUES,
-            source: 'manual'
-        };
-        
-        const checkResult = await checkBetsWithResult(resultData);
-        
-        if (checkResult.success) {
-            res.json({ 
-                success: true, 
-                message: `✅ ${checkResult.checked} apostas conferidas!`,
-                checked: checkResult.checked,
-                totalPrize: checkResult.totalPrize,
-                balance: checkResult.balance
-            });
-        } else {
-            res.status(500).json({ 
-                success: false, 
-                error: checkResult.error || 'Erro ao conferir apostas' 
-            });
+        const invalid = validateSubscription({ target, events }, { partial: true }) ||
+            (target !== undefined ? NOTIFICATION_CHANNELS[subscription.channel].validate(target.trim()) : null) ||
+            (active !== undefined && typeof active !== 'boolean' ? 'active deve ser true ou false' : null);
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
         }
+        const updated = await pool.query(
+            `UPDATE notification_subscriptions
+             SET target = COALESCE($1, target), events = COALESCE($2, events), active = COALESCE($3, active)
+             WHERE id = $4 RETURNING *`,
+            [target === undefined ? null : target.trim(), events ? [...new Set(events)] : null, active === undefined ? null : active, subscription.id]
+        );
+        res.json({ success: true, subscription: updated.rows[0] });
     } catch (error) {
         console.error('❌ Erro:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-app.post('/api/generate-bets', async (req, res) => {
+app.delete('/api/notifications/subscriptions/:id', async (req, res) => {
     try {
-        await generateDailyBets();
+        const deleted = await pool.query(
+            'DELETE FROM notification_subscriptions WHERE id = $1 AND user_id IS NOT DISTINCT FROM $2 RETURNING id',
+            [parseInt(req.params.id), req.user ? req.user.id : null]
+        );
+        if (deleted.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Assinatura não encontrada' });
+        }
         res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Envia uma notificação de teste só para esta assinatura
+app.post('/api/notifications/subscriptions/:id/test', async (req, res) => {
+    try {
+        const found = await pool.query(
+            'SELECT * FROM notification_subscriptions WHERE id = $1 AND user_id IS NOT DISTINCT FROM $2',
+            [parseInt(req.params.id), req.user ? req.user.id : null]
+        );
+        if (found.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Assinatura não encontrada' });
+        }
+        const forbidden = channelPermissionError(req.user, found.rows[0].channel);
+        if (forbidden) {
+            return res.status(403).json({ success: false, error: forbidden });
+        }
+        const delivery = await deliverNotification(found.rows[0], {
+            event: 'test',
+            title: 'Notificação de teste',
+            text: 'Se você recebeu esta mensagem, o canal está funcionando.',
+            data: {},
+            sentAt: new Date().toISOString()
+        });
+        res.status(delivery.error ? 502 : 200).json({ success: !delivery.error, ...delivery });
+    } catch (error) {
+        console.error('❌ Erro:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/notifications/log', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const result = await pool.query(
+            `SELECT l.id, l.subscription_id, l.event, l.channel, s.target, l.status, l.error, l.created_at
+             FROM notification_log l JOIN notification_subscriptions s ON s.id = l.subscription_id
+             WHERE s.user_id IS NOT DISTINCT FROM $1
+             ORDER BY l.id DESC LIMIT $2`,
+            [req.user ? req.user.id : null, limit]
+        );
+        res.json(result.rows);
     } catch { res.status(500).json({ error: 'Erro' }); }
 });
 
-app.post('/api/generate-custom', async (req, res) => {
+// ==================== JOBS ====================
+
+// Dias sem geração recuperados ao subir, contando hoje (0 desliga)
+const JOB_CATCHUP_DAYS = envInt('JOB_CATCHUP_DAYS', 3);
+const JOBS = { dailyBets: 'daily-bets', resultCheck: 'result-check', missingResult: 'missing-result' };
+const JOB_STATUSES = ['running', 'success', 'skipped', 'failed'];
+
+// Grava a execução em job_runs. `task` devolve { status, betsCreated, details, error }; exceção vira 'failed' e não propaga.
+// Com `keepSkipped: false` uma execução 'skipped' (nada a fazer) é apagada e volta null
+async function runJob(job, { trigger, runDate = null, game, keepSkipped = true }, task) {
+    const started = await pool.query(
+        'INSERT INTO job_runs (job, game, run_date, trigger) VALUES ($1, $2, $3, $4) RETURNING id',
+        [job, game.id, runDate, trigger]
+    );
+    const id = started.rows[0].id;
+    let outcome;
     try {
-        const { distribution } = req.body;
-        const strategies = {
-            weighted: generateWeightedBet, balanced: generateBalancedBet,
-            moderate: generateModerateBet, distributed: generateDistributedBet,
-            intelligent: generateIntelligentBet, random: generateRandomBet
-        };
-        const today = getTodayBrazil();
-        const generated = [];
-        
-        for (const [name, count] of Object.entries(distribution)) {
-            if (count > 0 && strategies[name]) {
-                for (let i = 0; i < count; i++) {
-                    const numbers = await strategies[name]();
-                    const result = await pool.query(
-                        'INSERT INTO bets (strategy, numbers, date, type) VALUES ($1, $2, $3, $4) RETURNING *',
-                        [name, numbers, today, 'manual']
-                    );
-                    generated.push(result.rows[0]);
-                }
+        outcome = (await task()) || {};
+    } catch (error) {
+        console.error(`❌ Job ${job} (${game.label}):`, error.message);
+        outcome = { status: 'failed', error: error.message };
+    }
+    if (!keepSkipped && outcome.status === 'skipped') {
+        await pool.query('DELETE FROM job_runs WHERE id = $1', [id]);
+        return null;
+    }
+    const finished = await pool.query(
+        `UPDATE job_runs SET status = $2, bets_created = $3, details = $4, error = $5, finished_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [id, outcome.status || 'success', outcome.betsCreated || 0, outcome.details ? JSON.stringify(outcome.details) : null, outcome.error || null]
+    );
+    return finished.rows[0];
+}
+
+// Nada criado porque o dia já estava gerado (ou a banca barrou) conta como 'skipped'
+function runDailyBets(game, date, trigger) {
+    return runJob(JOBS.dailyBets, { trigger, runDate: date, game }, async () => {
+        if (date < getTodayBrazil()) {
+            const target = await getBetTarget(game, brazilMidnight(date));
+            const known = await pool.query('SELECT contest_number FROM results WHERE game = $1 AND date = $2', [game.id, target.drawDate]);
+            if (known.rows.length > 0) {
+                console.log(`⏭️ ${game.label} ${date}: sorteio de ${target.drawDate} já tem resultado, nada a recuperar`);
+                return { status: 'skipped', details: { reason: `Sorteio de ${target.drawDate} já tem resultado` } };
             }
         }
-        
-        res.json({ success: true, generated: generated.length, bets: generated });
-    } catch (error) {
-        console.error('Erro:', error);
-        res.status(500).json({ error: 'Erro' });
+        const { created, failed = [], ...details } = await generateDailyBets(game, date);
+        return {
+            status: failed.length > 0 ? 'failed' : created === 0 ? 'skipped' : 'success',
+            betsCreated: created,
+            details: { ...details, failed },
+            error: failed.length > 0 ? `Falharam: ${failed.join(', ')}` : null
+        };
+    });
+}
+
+// Dias depois da última geração concluída, limitados a JOB_CATCHUP_DAYS. Sem nenhuma execução registrada, só hoje
+async function catchUpDailyBets(game) {
+    if (JOB_CATCHUP_DAYS <= 0) return [];
+    const today = getTodayBrazil();
+    const last = await pool.query(
+        `SELECT MAX(run_date) AS date FROM job_runs WHERE job = $1 AND game = $2 AND status IN ('success', 'skipped')`,
+        [JOBS.dailyBets, game.id]
+    );
+    const lastDone = toDateString(last.rows[0].date);
+    const oldest = addDays(today, 1 - JOB_CATCHUP_DAYS);
+    let date = lastDone ? addDays(lastDone, 1) : today;
+    if (date < oldest) date = oldest;
+    
+    const runs = [];
+    for (; date <= today; date = addDays(date, 1)) {
+        console.log(`🔁 Recuperando a geração diária da ${game.label} de ${date}`);
+        runs.push(await runDailyBets(game, date, 'catchup'));
+    }
+    if (runs.length > 0) {
+        await recordAudit(SYSTEM_USER, 'catch-up: geração diária', {
+            details: { game: game.id, runs: runs.map(run => ({ date: toDateString(run.run_date), status: run.status, betsCreated: run.bets_created })) }
+        });
     }
+    return runs;
+}
+
+function jobRunView(run) {
+    return { ...run, run_date: toDateString(run.run_date) };
+}
+
+// Execuções que ficaram 'running' foram interrompidas pela queda do processo
+async function closeInterruptedJobs() {
+    const closed = await pool.query(
+        `UPDATE job_runs SET status = 'failed', error = 'Interrompido: o servidor parou durante a execução', finished_at = NOW()
+         WHERE status = 'running' RETURNING id`
+    );
+    if (closed.rows.length > 0) console.log(`⚠️ ${closed.rows.length} execuções interrompidas marcadas como falha`);
+}
+
+// Histórico de execuções: ?game=lotofacil&job=daily-bets&status=failed&limit=50 (sem game, todos os jogos)
+app.get('/api/jobs', async (req, res) => {
+    try {
+        const { game, job, status } = req.query;
+        if (game !== undefined && !GAMES[game]) {
+            return res.status(400).json({ success: false, error: GAME_ERROR });
+        }
+        if (job !== undefined && !Object.values(JOBS).includes(job)) {
+            return res.status(400).json({ success: false, error: `job deve ser ${Object.values(JOBS).join(', ')}` });
+        }
+        if (status !== undefined && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `status deve ser ${JOB_STATUSES.join(', ')}` });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const params = [];
+        const conditions = [];
+        if (game) addCondition(conditions, params, 'game = ?', game);
+        if (job) addCondition(conditions, params, 'job = ?', job);
+        if (status) addCondition(conditions, params, 'status = ?', status);
+        params.push(limit);
+        const result = await pool.query(
+            `SELECT * FROM job_runs ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY id DESC LIMIT $${params.length}`,
+            params
+        );
+        res.json(result.rows.map(jobRunView));
+    } catch { res.status(500).json({ error: 'Erro' }); }
 });
 
 // ==================== CRON ====================
 
-// Gera 6 apostas TODO DIA às 00:00 BRT
-cron.schedule('0 0 * * *', () => {
-    console.log('⏰ [CRON] Geração diária de 6 apostas (00:00 BRT)');
-    generateDailyBets();
-}, { timezone: "America/Sao_Paulo" });
+// Só entra na auditoria quando a busca agendada insere algum concurso
+async function runScheduledCheck(game) {
+    try {
+        // Buscas sem concurso novo (a maioria) não ficam registradas
+        await runJob(JOBS.resultCheck, { trigger: 'cron', game, keepSkipped: false }, async () => {
+            const result = await checkNewContests(game);
+            if (result.busy) return { status: 'skipped', details: { reason: result.message } };
+            if (result.contests.length > 0) {
+                await recordAudit(SYSTEM_USER, 'cron: resultados inseridos', {
+                    details: { game: game.id, contests: result.contests.map(contest => contest.contestNumber) }
+                });
+            }
+            return {
+                status: result.contests.length > 0 ? 'success' : 'skipped',
+                details: { contests: result.contests.map(contest => contest.contestNumber) }
+            };
+        });
+    } catch (error) {
+        console.error(`❌ Erro na busca agendada (${game.label}):`, error.message);
+    }
+}
+
+// Um jogo de cada vez: as buscas dividem os mesmos fornecedores
+async function runScheduledChecks() {
+    for (const game of ACTIVE_GAMES) await runScheduledCheck(game);
+}
+
+// Agendado só quando o servidor sobe (a importação pela linha de comando não roda os jobs)
+function scheduleJobs() {
+    // Gera as apostas do dia de cada jogo ativo às 00:00 BRT
+    // Em sequência: os limites da banca valem para a soma dos jogos
+    cron.schedule('0 0 * * *', async () => {
+        console.log('⏰ [CRON] Geração diária de apostas (00:00 BRT)');
+        recordAudit(SYSTEM_USER, 'cron: geração diária', { details: { games: ACTIVE_GAMES.map(game => game.id) } });
+        for (const game of ACTIVE_GAMES) {
+            await runDailyBets(game, getTodayBrazil(), 'cron').catch(error => console.error(`❌ Erro na geração diária (${game.label}):`, error.message));
+        }
+    }, { timezone: "America/Sao_Paulo" });
+
+    // Busca o resultado a cada 15 min após o sorteio de SEG a SÁB (20:00 BRT)
+    cron.schedule(process.env.RESULT_CHECK_CRON || '*/15 20-23 * * 1-6', () => {
+        console.log('⏰ [CRON] Buscando resultado do sorteio');
+        runScheduledChecks();
+    }, { timezone: "America/Sao_Paulo" });
+
+    // Avisa se o sorteio do dia ainda não tem resultado (jogo sem sorteio hoje não avisa)
+    cron.schedule('0 22 * * 1-6', () => {
+        for (const game of ACTIVE_GAMES) {
+            runJob(JOBS.missingResult, { trigger: 'cron', runDate: getTodayBrazil(), game }, () => checkMissingResult(game))
+                .catch(error => console.error('❌ Erro ao verificar resultado do dia:', error.message));
+        }
+    }, { timezone: "America/Sao_Paulo" });
+
+    // Verificação de hora em hora para resultados publicados com atraso (fora da janela de 15 em 15 min)
+    cron.schedule('0 0-19 * * *', () => {
+        console.log('⏰ [CRON] Verificação horária de resultados');
+        runScheduledChecks();
+    }, { timezone: "America/Sao_Paulo" });
+}
 
 // ==================== START ====================
 
 async function startServer() {
     try {
         await initializeDatabase();
+        const users = await pool.query('SELECT COUNT(*) AS total FROM users');
+        if (!AUTH.disabled && !AUTH.adminToken && parseInt(users.rows[0].total) === 0) {
+            console.warn('⚠️ Nenhum usuário cadastrado e ADMIN_TOKEN vazio: crie um com npm run create-user -- <nome> admin');
+        }
+        await closeInterruptedJobs();
+        scheduleJobs();
+        (async () => {
+            for (const game of ACTIVE_GAMES) await catchUpDailyBets(game);
+        })().catch(error => console.error('❌ Erro na recuperação da geração diária:', error.message));
         app.listen(port, () => {
             console.log('');
             console.log('═══════════════════════════════════════');
@@ -596,18 +5379,23 @@ async function startServer() {
             console.log(`✅ Database: OK`);
             console.log(`📅 Hoje (Brasil): ${getTodayBrazil()}`);
             console.log('');
-            console.log('⏰ CRON JOBS:');
-            console.log('   📅 Gerar 6 apostas: TODO DIA 00:00 BRT');
-            console.log('');
-            console.log('💰 VALORES DE PRÊMIOS:');
-            console.log('   15 acertos: R$ 850.000,00 (média)');
-            console.log('   14 acertos: R$ 1.400,00 (média)');
-            console.log('   13 acertos: R$ 35,00 (fixo)');
-            console.log('   12 acertos: R$ 14,00 (fixo)');
-            console.log('   11 acertos: R$ 7,00 (fixo)');
-            console.log('   10 ou menos: R$ 0,00 (prejuízo)');
+            console.log(`🎲 Jogos ativos: ${ACTIVE_GAMES.map(game => `${game.icon} ${game.label}`).join(', ')}`);
+            Object.values(GAMES).forEach(checkClosingLimit);
             console.log('');
-            console.log('💵 Custo por aposta: R$ 3,50');
+            console.log('⏰ CRON JOBS:');
+            console.log('   📅 Gerar as apostas do dia: TODO DIA 00:00 BRT');
+            console.log('   🔍 Buscar resultado: SEG-SÁB 20:00-23:45 BRT (15 em 15 min) + de hora em hora (00:00-19:00)');
+            console.log(`   📡 Fornecedores: ${RESULT_FETCH.providers.join(', ')}`);
+            for (const game of ACTIVE_GAMES) {
+                console.log('');
+                console.log(`💰 ${game.label.toUpperCase()}: VALORES DE PRÊMIOS (quando o concurso não informa):`);
+                for (const hits of [...game.tiers].reverse()) {
+                    const value = game.prizes[hits].toLocaleString('pt-BR', { minimumFractionDigits: 2 });
+                    console.log(`   ${hits} acertos: R$ ${value} (${game.fixedTiers.includes(hits) ? 'fixo' : 'média'})`);
+                }
+                console.log(`   ${game.tiers[0] - 1} ou menos: R$ 0,00 (prejuízo)`);
+                console.log(`💵 Custo por aposta: ${formatBRL(game.price)}`);
+            }
             console.log('═══════════════════════════════════════');
             console.log('');
         });
@@ -617,4 +5405,155 @@ async function startServer() {
     }
 }
 
-startServer();
+// npm run import-results -- <arquivo.csv|arquivo.json> [--update] [--game=megasena]
+async function runImportCli(args) {
+    const file = args.find(arg => !arg.startsWith('--'));
+    const gameArg = args.find(arg => arg.startsWith('--game='));
+    const game = gameFrom(gameArg ? gameArg.slice('--game='.length) : undefined);
+    if (!file || !game) {
+        if (file) console.error(`❌ ${GAME_ERROR}`);
+        console.error('Uso: node server.js import <arquivo.csv|arquivo.json> [--update] [--game=<jogo>]');
+        process.exit(1);
+    }
+    try {
+        await initializeDatabase();
+        const content = await fs.promises.readFile(file, 'utf8');
+        const format = file.toLowerCase().endsWith('.json') ? 'json' : undefined;
+        console.log(`${game.icon} ${game.label}`);
+        const summary = await importResults(game, parseResultsFile(content, format), {
+            mode: args.includes('--update') ? 'update' : 'skip'
+        });
+        console.log(`📥 ${summary.total} concursos lidos`);
+        console.log(`✅ ${summary.inserted} novos | ${summary.updated} atualizados | ${summary.skipped} ignorados`);
+        summary.errors.forEach(error => console.log(`❌ Linha ${error.line}: ${error.error}`));
+        if (summary.pendingBetsForImported) {
+            console.log(`⚠️ ${summary.pendingBetsForImported} apostas pendentes são de concursos importados e não foram conferidas`);
+        }
+        await pool.end();
+        process.exit(summary.errors.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Erro na importação:', error.message);
+        process.exit(1);
+    }
+}
+
+// npm run check-results -- [--game=megasena]; com RESULT_PROVIDERS=file roda offline a partir de RESULTS_FILE
+async function runCheckCli(args) {
+    const gameArg = args.find(arg => arg.startsWith('--game='));
+    const games = gameArg ? [gameFrom(gameArg.slice('--game='.length))] : ACTIVE_GAMES;
+    if (games.includes(null)) {
+        console.error(`❌ ${GAME_ERROR}`);
+        console.error('Uso: node server.js check [--game=<jogo>]');
+        process.exit(1);
+    }
+    try {
+        await initializeDatabase();
+        console.log(`📡 Fornecedores: ${RESULT_FETCH.providers.join(', ')}`);
+        for (const game of games) {
+            const result = await checkNewContests(game);
+            result.contests.forEach(contest => console.log(
+                `✅ ${game.label} #${contest.contestNumber} (${contest.date}, ${contest.source}): ${contest.checked} apostas conferidas, ${formatBRL(contest.totalPrize)} em prêmios`
+            ));
+        }
+        await pool.end();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Erro na busca de resultados:', error.message);
+        process.exit(1);
+    }
+}
+
+// Primeiro acesso: node server.js create-user <nome> <viewer|operator|admin>
+async function runCreateUserCli([name, role]) {
+    const invalid = validateUser({ name, role });
+    if (invalid) {
+        console.error(`❌ ${invalid}`);
+        console.error('Uso: node server.js create-user <nome> <viewer|operator|admin>');
+        process.exit(1);
+    }
+    try {
+        await initializeDatabase();
+        const { user, token } = await createUser(name.trim(), role);
+        await recordAudit(SYSTEM_USER, 'cli: create-user', { details: { name: user.name, role: user.role } });
+        console.log(`✅ Usuário ${user.name} (${user.role}) criado`);
+        console.log(`🔑 Token (guarde agora, ele não será mostrado de novo): ${token}`);
+        await pool.end();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Erro ao criar usuário:', error.message);
+        process.exit(1);
+    }
+}
+
+// npm run migrate -- [status | up [versão] | down <versão>]
+async function runMigrateCli([command = 'up', version]) {
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    try {
+        if (command === 'status') {
+            for (const migration of await migrationStatus()) {
+                console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')} ${migration.name}`);
+            }
+        } else if (command === 'up' || command === 'down') {
+            const target = version === undefined ? (command === 'up' ? latest : NaN) : parseInt(version);
+            if (!Number.isInteger(target) || target < 0 || target > latest) {
+                console.error(`❌ Informe a versão de destino (0 a ${latest})`);
+                process.exit(1);
+            }
+            const steps = await migrate(target);
+            if (steps.length === 0) console.log(`ℹ️ Banco já está na versão ${target}`);
+        } else {
+            console.error('Uso: node server.js migrate [status | up [versão] | down <versão>]');
+            process.exit(1);
+        }
+        await pool.end();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Erro na migração:', error.message);
+        process.exit(1);
+    }
+}
+
+// Mudança de servidor: npm run backup -- arquivo.json e, no destino, npm run restore -- arquivo.json
+async function runBackupCli([command, file]) {
+    if (!file) {
+        console.error(`Uso: node server.js ${command} <arquivo.json>`);
+        process.exit(1);
+    }
+    try {
+        await initializeDatabase();
+        if (command === 'backup') {
+            const backup = await createBackup();
+            await fs.promises.writeFile(file, JSON.stringify(backup));
+            const total = Object.values(backup.tables).reduce((sum, rows) => sum + rows.length, 0);
+            console.log(`💾 Backup gravado em ${file}: ${total} registros, esquema ${backup.schemaVersion}`);
+        } else {
+            const restored = await restoreBackup(JSON.parse(await fs.promises.readFile(file, 'utf8')));
+            if (restored.error) {
+                console.error(`❌ ${restored.error}`);
+                process.exit(1);
+            }
+            await recordAudit(SYSTEM_USER, 'cli: restore', { details: { file, createdAt: restored.createdAt } });
+            Object.entries(restored.tables).forEach(([table, count]) => console.log(`   ${table}: ${count}`));
+            console.log(`♻️ Backup de ${restored.createdAt} restaurado`);
+        }
+        await pool.end();
+        process.exit(0);
+    } catch (error) {
+        console.error(`❌ Erro no ${command}:`, error.message);
+        process.exit(1);
+    }
+}
+
+if (process.argv[2] === 'import') {
+    runImportCli(process.argv.slice(3));
+} else if (process.argv[2] === 'check') {
+    runCheckCli(process.argv.slice(3));
+} else if (process.argv[2] === 'migrate') {
+    runMigrateCli(process.argv.slice(3));
+} else if (process.argv[2] === 'create-user') {
+    runCreateUserCli(process.argv.slice(3));
+} else if (process.argv[2] === 'backup' || process.argv[2] === 'restore') {
+    runBackupCli(process.argv.slice(2));
+} else {
+    startServer();
+}